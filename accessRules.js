@@ -0,0 +1,252 @@
+/**
+ * Stream Access Rules
+ * Per-stream restrictions on where a stream may be watched from, set at
+ * /api/generate and checked on every token validation (link validation,
+ * viewer join, proxy requests, status events):
+ *   {
+ *     "allowedCidrs": ["203.0.113.0/24", "2001:db8::/32"],
+ *     "allowedReferrers": ["example.com", "*.example.com"],
+ *     "allowedCountries": ["DE", "AT"]
+ *   }
+ * Every rule that is set must pass. Referrer rules match the host of the page
+ * the player is embedded in: requests from the player come from player.html
+ * on this host, so it reports the embedding page itself (`embedder`) when it
+ * validates its link and joins, and later requests present the joined viewer
+ * session instead. The reported page is only taken from requests whose own
+ * Origin (or Referer) is this host; other requests are matched on their
+ * Origin header, or their Referer, and requests carrying neither are refused.
+ * Like those headers, the embedder can be forged by clients other than
+ * browsers, so referrer rules deter embedding on other sites rather than
+ * prevent access. Country rules need the offline GeoIP database
+ * (GEOIP_DATABASE); addresses it does not know are refused.
+ *
+ * Client addresses are taken from req.ip, so behind a load balancer or CDN
+ * TRUST_PROXY must be set for the network and country rules to see viewers'
+ * addresses.
+ */
+
+const net = require('net');
+const { loadGeoDatabase } = require('./geoip');
+
+const MAX_RULE_ENTRIES = 100;
+const HOST_PATTERN = /^(\*\.)?([a-z0-9-]+\.)*[a-z0-9-]+$/;
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+const RULE_NAMES = ['allowedCidrs', 'allowedReferrers', 'allowedCountries'];
+
+// Block lists per allowedCidrs list, so they are not rebuilt on every request
+const blockLists = new Map();
+const BLOCK_LIST_CACHE_MAX_ENTRIES = 1000;
+
+// Loaded once at startup; country rules are refused without it
+const geoDatabase = process.env.GEOIP_DATABASE ? loadGeoDatabase(process.env.GEOIP_DATABASE) : null;
+
+/**
+ * Create an error carrying the HTTP status the caller should respond with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function rulesError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Normalize a client address: IPv4-mapped IPv6 addresses become IPv4
+ * @param {string} [address] - Address from req.ip
+ * @returns {string} Address
+ */
+function normalizeAddress(address) {
+    return String(address || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+/**
+ * Add a CIDR range (or single address) to a block list
+ * @param {net.BlockList} list - Block list
+ * @param {string} cidr - "network/prefix" or an address
+ * @returns {boolean} False when the range is invalid
+ */
+function addRange(list, cidr) {
+    const [address, prefixText] = String(cidr).split('/');
+    const family = net.isIP(address);
+    if (family === 0) {
+        return false;
+    }
+
+    const type = family === 6 ? 'ipv6' : 'ipv4';
+    const prefix = prefixText === undefined ? (family === 6 ? 128 : 32) : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > (family === 6 ? 128 : 32)) {
+        return false;
+    }
+
+    list.addSubnet(address, prefix, type);
+    return true;
+}
+
+/**
+ * Get the block list for a normalized allowedCidrs list
+ * @param {string[]} cidrs - CIDR ranges
+ * @returns {net.BlockList} Block list
+ */
+function getBlockList(cidrs) {
+    const key = cidrs.join(',');
+    let list = blockLists.get(key);
+    if (!list) {
+        list = new net.BlockList();
+        cidrs.forEach(cidr => addRange(list, cidr));
+        if (blockLists.size >= BLOCK_LIST_CACHE_MAX_ENTRIES) {
+            blockLists.delete(blockLists.keys().next().value);
+        }
+        blockLists.set(key, list);
+    }
+    return list;
+}
+
+/**
+ * Check whether a host matches an allowed host entry
+ * @param {string} host - Lowercase hostname
+ * @param {string} pattern - Exact hostname, or "*.example.com" for its subdomains
+ * @returns {boolean} True on a match
+ */
+function hostMatches(host, pattern) {
+    if (pattern.startsWith('*.')) {
+        return host.endsWith(pattern.slice(1));
+    }
+    return host === pattern;
+}
+
+/**
+ * Get the host of the page a request was made from
+ * @param {Object} viewer - Viewer context ({ origin, referer })
+ * @returns {string|null} Lowercase hostname, or null when unknown
+ */
+function getPageHost(viewer) {
+    const page = viewer.origin && viewer.origin !== 'null' ? viewer.origin : viewer.referer;
+    try {
+        return page ? new URL(page).hostname.toLowerCase() : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check a list from the request body
+ * @param {*} value - Candidate list
+ * @param {string} name - Rule name, for error messages
+ * @param {Function} isValid - Entry check
+ * @returns {string[]} Entries
+ * @throws {Error} 400 when the list or an entry is invalid
+ */
+function checkList(value, name, isValid) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_RULE_ENTRIES) {
+        throw rulesError(`accessRules.${name} must be a list of 1 to ${MAX_RULE_ENTRIES} entries`, 400);
+    }
+    const invalid = value.find(entry => typeof entry !== 'string' || !isValid(entry));
+    if (invalid !== undefined) {
+        throw rulesError(`Invalid entry in accessRules.${name}: ${String(invalid).substring(0, 100)}`, 400);
+    }
+    return value;
+}
+
+/**
+ * Validate access rules supplied for a stream
+ * @param {*} rules - Candidate rules from the request body
+ * @returns {Object|null} Normalized rules, or null when none are set
+ * @throws {Error} 400 when the rules are invalid
+ */
+function normalizeAccessRules(rules) {
+    if (rules === undefined || rules === null) {
+        return null;
+    }
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+        throw rulesError('accessRules must be an object', 400);
+    }
+
+    const unknown = Object.keys(rules).find(name => !RULE_NAMES.includes(name));
+    if (unknown) {
+        throw rulesError(`Unknown access rule ${unknown.substring(0, 100)}: use ${RULE_NAMES.join(', ')}`, 400);
+    }
+
+    const normalized = {};
+    if (rules.allowedCidrs !== undefined) {
+        const list = new net.BlockList();
+        normalized.allowedCidrs = checkList(rules.allowedCidrs, 'allowedCidrs', cidr => addRange(list, cidr));
+    }
+    if (rules.allowedReferrers !== undefined) {
+        normalized.allowedReferrers = checkList(rules.allowedReferrers, 'allowedReferrers',
+            host => HOST_PATTERN.test(host.toLowerCase())).map(host => host.toLowerCase());
+    }
+    if (rules.allowedCountries !== undefined) {
+        if (!geoDatabase) {
+            throw rulesError('accessRules.allowedCountries needs a GeoIP database (GEOIP_DATABASE)', 400);
+        }
+        normalized.allowedCountries = checkList(rules.allowedCountries, 'allowedCountries',
+            country => COUNTRY_PATTERN.test(country.toUpperCase())).map(country => country.toUpperCase());
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Get the viewer context the access rules are checked against
+ * @param {Object} req - Express request object
+ * @param {string} [embedder] - URL of the page the player is embedded in, as
+ *   reported by the player; replaces the request's Origin and Referer when
+ *   the request comes from a page on this host
+ * @returns {Object} { ip, origin, referer }
+ */
+function getViewerContext(req, embedder) {
+    const viewer = {
+        ip: req.ip,
+        origin: req.get('origin'),
+        referer: req.get('referer')
+    };
+    if (typeof embedder === 'string' && embedder && getPageHost(viewer) === (req.hostname || '').toLowerCase()) {
+        return { ip: req.ip, origin: null, referer: embedder };
+    }
+    return viewer;
+}
+
+/**
+ * Check a viewer against a stream's access rules
+ * @param {Object} rules - Normalized rules
+ * @param {Object} viewer - Viewer context from getViewerContext(); `joined` when
+ *   the request presents a viewer session that already passed the referrer rule
+ * @returns {Object|null} Denial ({ reason, ... }) or null when access is allowed
+ */
+function checkAccessRules(rules, viewer) {
+    const ip = normalizeAddress(viewer.ip);
+    const family = net.isIP(ip);
+
+    if (rules.allowedCidrs) {
+        if (family === 0 || !getBlockList(rules.allowedCidrs).check(ip, family === 6 ? 'ipv6' : 'ipv4')) {
+            return { reason: 'network not allowed', ip };
+        }
+    }
+
+    if (rules.allowedReferrers && !viewer.joined) {
+        const host = getPageHost(viewer);
+        if (!host) {
+            return { reason: 'no referrer', ip };
+        }
+        if (!rules.allowedReferrers.some(pattern => hostMatches(host, pattern))) {
+            return { reason: 'referrer not allowed', ip, referrer: host };
+        }
+    }
+
+    if (rules.allowedCountries) {
+        const country = geoDatabase && family !== 0 ? geoDatabase.lookup(ip) : null;
+        if (!country || !rules.allowedCountries.includes(country)) {
+            return { reason: 'country not allowed', ip, country };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    normalizeAccessRules,
+    getViewerContext,
+    checkAccessRules
+};
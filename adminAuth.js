@@ -0,0 +1,272 @@
+/**
+ * Admin Authentication Module
+ * API key authentication and role-based access for management endpoints
+ *
+ * Roles:
+ * - operator: full access to every stream and to API key management
+ * - publisher: bound to a publisher account, manages only that publisher's streams
+ * - readonly: can list and inspect every stream, cannot change anything
+ *
+ * Keys are only ever stored as SHA-256 hashes; the plaintext key is returned
+ * once, at creation time.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getStore } = require('./auth');
+const logger = require('./logger');
+
+const API_KEYS = 'apiKeys';
+const ROLES = ['operator', 'publisher', 'readonly'];
+const MIN_BOOTSTRAP_KEY_LENGTH = 32;
+
+// Placeholder values shipped in .env.example and the docs
+const PLACEHOLDER_API_KEYS = new Set(['change-this-operator-api-key']);
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} apiKey - Plaintext API key
+ * @returns {string} Hex digest
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Create a new API key
+ * @param {Object} options
+ * @param {string} options.name - Descriptive name
+ * @param {string} options.role - One of ROLES
+ * @param {string} [options.publisherId] - Publisher account (required for the publisher role)
+ * @returns {Promise<Object>} Plaintext key (shown once) and stored record
+ */
+async function createApiKey({ name, role, publisherId }) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Invalid role: ${role}`);
+    }
+
+    if (role === 'publisher' && !publisherId) {
+        throw new Error('Publisher keys require a publisherId');
+    }
+
+    const apiKey = `lsk_${crypto.randomBytes(24).toString('base64url')}`;
+    const keyHash = hashApiKey(apiKey);
+    const record = {
+        id: uuidv4(),
+        name: name || null,
+        role,
+        publisherId: role === 'publisher' ? publisherId : null,
+        keyHash,
+        createdAt: new Date(),
+        revokedAt: null
+    };
+
+    await getStore().set(API_KEYS, keyHash, record);
+
+    logger.logSecurityEvent('api_key_created', { keyId: record.id, role });
+
+    return { apiKey, record: publicKeyRecord(record) };
+}
+
+/**
+ * Strip the hash from a key record before returning it to clients
+ * @param {Object} record - Stored key record
+ * @returns {Object} Public key record
+ */
+function publicKeyRecord(record) {
+    const { keyHash, ...rest } = record;
+    return rest;
+}
+
+/**
+ * List all API keys (without hashes)
+ * @returns {Promise<Array>} Key records
+ */
+async function listApiKeys() {
+    return (await getStore().list(API_KEYS)).map(publicKeyRecord);
+}
+
+/**
+ * Revoke an API key by its ID
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object>} Result
+ */
+async function revokeApiKey(keyId) {
+    const record = (await getStore().list(API_KEYS)).find(key => key.id === keyId);
+    if (!record) {
+        return { success: false, message: 'API key not found' };
+    }
+
+    record.revokedAt = record.revokedAt || new Date();
+    await getStore().set(API_KEYS, record.keyHash, record);
+
+    logger.logSecurityEvent('api_key_revoked', { keyId });
+
+    return { success: true, message: 'API key revoked successfully' };
+}
+
+/**
+ * Resolve a plaintext API key to its record
+ * @param {string} apiKey - Plaintext API key
+ * @returns {Promise<Object|null>} Key record, or null if unknown or revoked
+ */
+async function authenticateApiKey(apiKey) {
+    if (!apiKey) {
+        return null;
+    }
+    const record = await getStore().get(API_KEYS, hashApiKey(apiKey));
+    if (!record || record.revokedAt) {
+        return null;
+    }
+    return record;
+}
+
+/**
+ * Describe why a bootstrap key must not be used in production
+ * @param {string} apiKey - Plaintext API key
+ * @returns {string|null} Problem, or null when the key is acceptable
+ */
+function getBootstrapKeyProblem(apiKey) {
+    if (PLACEHOLDER_API_KEYS.has(apiKey)) {
+        return 'is the example placeholder';
+    }
+    return apiKey.length < MIN_BOOTSTRAP_KEY_LENGTH ? `is shorter than ${MIN_BOOTSTRAP_KEY_LENGTH} characters` : null;
+}
+
+/**
+ * Check ADMIN_API_KEY before the server starts
+ * A placeholder or short operator key is refused in production and only
+ * warned about elsewhere, like the signing keys.
+ * @throws {Error} In production when the key is not acceptable
+ */
+function checkBootstrapApiKey() {
+    const apiKey = process.env.ADMIN_API_KEY;
+    const problem = apiKey ? getBootstrapKeyProblem(apiKey) : null;
+    if (!problem) {
+        return;
+    }
+
+    const message = `ADMIN_API_KEY ${problem}`;
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`${message}; refusing to start in production. Set a random key of at least ${MIN_BOOTSTRAP_KEY_LENGTH} characters`);
+    }
+    logger.warn(`${message}; do not use it in production`);
+}
+
+/**
+ * Ensure the operator key from ADMIN_API_KEY exists (first-run bootstrap)
+ * @returns {Promise<void>}
+ */
+async function bootstrapApiKeys() {
+    const apiKey = process.env.ADMIN_API_KEY;
+    if (!apiKey) {
+        return;
+    }
+
+    const keyHash = hashApiKey(apiKey);
+    if (await getStore().get(API_KEYS, keyHash)) {
+        return;
+    }
+
+    await getStore().set(API_KEYS, keyHash, {
+        id: uuidv4(),
+        name: 'bootstrap',
+        role: 'operator',
+        keyHash,
+        createdAt: new Date(),
+        revokedAt: null
+    });
+
+    logger.logSecurityEvent('api_key_bootstrapped', { role: 'operator' });
+}
+
+/**
+ * Read the API key from the request headers
+ * Accepts `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * @param {Object} req - Express request object
+ * @returns {string|null} Plaintext API key
+ */
+function getRequestApiKey(req) {
+    const authorization = req.get('authorization');
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.substring(7).trim();
+    }
+    return req.get('x-api-key') || null;
+}
+
+/**
+ * Middleware requiring an API key with one of the given roles
+ * Sets `req.apiKey` to the authenticated key record.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            const apiKey = await authenticateApiKey(getRequestApiKey(req));
+
+            if (!apiKey) {
+                logger.logSecurityEvent('admin_auth_failed', { path: req.path, ip: req.ip });
+                return res.status(401).json({ error: 'Missing or invalid API key' });
+            }
+
+            if (!roles.includes(apiKey.role)) {
+                logger.logSecurityEvent('admin_role_denied', {
+                    path: req.path,
+                    keyId: apiKey.id,
+                    role: apiKey.role
+                });
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+
+            req.apiKey = apiKey;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Middleware authenticating an API key when one is presented
+ * Anonymous requests pass through; an invalid key is still rejected.
+ * @param {...string} roles - Allowed roles for authenticated requests
+ * @returns {Function} Express middleware
+ */
+function optionalRole(...roles) {
+    const authenticated = requireRole(...roles);
+    return (req, res, next) => {
+        if (!getRequestApiKey(req)) {
+            return next();
+        }
+        authenticated(req, res, next);
+    };
+}
+
+/**
+ * Check whether an API key may inspect or manage a stream
+ * Publishers only see the streams created by their publisher account.
+ * @param {Object} apiKey - Authenticated key record
+ * @param {Object} streamData - Stream record
+ * @returns {boolean} Whether access is allowed
+ */
+function canAccessStream(apiKey, streamData) {
+    if (apiKey.role === 'publisher') {
+        return Boolean(apiKey.publisherId) && streamData.createdBy === apiKey.publisherId;
+    }
+    return true;
+}
+
+module.exports = {
+    ROLES,
+    hashApiKey,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    authenticateApiKey,
+    checkBootstrapApiKey,
+    bootstrapApiKeys,
+    requireRole,
+    optionalRole,
+    canAccessStream
+};
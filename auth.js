@@ -3,7 +3,10 @@
  * Handles JWT generation, validation, and stream access control
  * 
  * Security Features:
- * - JWT-based authentication with configurable expiry
+ * - JWT-based authentication with configurable expiry, signed (HS256, RS256
+ *   or EdDSA) with rotatable keys named by their key ID (see keyRing.js)
+ * - Viewer tokens from trusted external issuers (see trustedIssuers.js)
+ * - Per-stream network, referrer and country rules (see accessRules.js)
  * - Encrypted stream IDs in URLs
  * - Token refresh capability
  * - Viewer session tracking
@@ -15,6 +18,12 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
+const { createStore } = require('./store');
+const { createKeyRing } = require('./keyRing');
+const { signEdDSA, verifyEdDSA } = require('./eddsaJwt');
+const { createTrustedIssuers, loadIssuerConfig } = require('./trustedIssuers');
+const { checkAccessRules } = require('./accessRules');
+const { publishStreamEvent, publishViewerCount } = require('./events');
 
 // Load token configuration
 let tokenConfig;
@@ -25,7 +34,6 @@ try {
     // Fallback configuration
     tokenConfig = {
         jwt: {
-            secret: process.env.JWT_SECRET || 'fallback-secret-min-32-characters-long',
             expiresIn: '2h',
             issuer: 'live-streaming-platform',
             audience: 'stream-viewers'
@@ -33,122 +41,599 @@ try {
         stream: {
             defaultExpiryMinutes: 120,
             maxConcurrentViewers: 1000,
-            tokenRefreshWindowMinutes: 15
+            tokenRefreshWindowMinutes: 15,
+            viewerSessionTimeoutSeconds: 60
+        },
+        publisher: {
+            maxActiveStreams: 10,
+            maxTotalViewers: 5000
         }
     };
 }
 
-// In-memory store for active streams (use Redis in production for distributed systems)
-const activeStreams = new Map();
-const viewerSessions = new Map();
+// Signing and encryption keys; the environment takes precedence over token.json
+const keyRing = createKeyRing({
+    signingKeys: process.env.JWT_SIGNING_KEYS,
+    signingSecret: process.env.JWT_SECRET,
+    encryptionKeys: process.env.URL_ENCRYPTION_KEYS,
+    encryptionSecret: process.env.URL_ENCRYPTION_SECRET,
+    file: tokenConfig,
+    production: process.env.NODE_ENV === 'production'
+});
+
+// Identity providers whose viewer tokens are accepted (see trustedIssuers.js)
+const trustedIssuers = createTrustedIssuers({
+    ...loadIssuerConfig({ file: process.env.TRUSTED_ISSUERS_FILE, tokenConfig }),
+    ownIssuer: tokenConfig.jwt.issuer
+});
+
+// AES keys for encryptUrl()/decryptUrl(), derived once per key ID
+const urlEncryptionKeys = new Map(keyRing.listEncryptionKeys().map(({ kid, secret }) => [
+    kid,
+    Buffer.from(crypto.hkdfSync('sha256', secret, '', 'url-encryption', 32))
+]));
+
+// Keys of URLs encrypted before key IDs (scrypt of the JWT secret), derived on first use
+let legacyUrlKeys = null;
+
+// Stream and viewer session state, backed by the configured store driver
+// (memory by default; file or redis for durability and multi-instance deployments)
+const STREAMS = 'streams';
+const SESSIONS = 'sessions';
+// Per-stream collections (`<name>:<streamId>`): the stream's live session
+// index, token use counters, and the sessions each usage-limited token opened
+const STREAM_SESSIONS = 'streamSessions';
+const TOKEN_USES = 'tokenUses';
+const TOKEN_SESSIONS = 'tokenSessions';
+// Live sessions of each publisher's streams (`publisherSessions:<publisherId>`)
+const PUBLISHER_SESSIONS = 'publisherSessions';
+// Active stream counter of each publisher (publisherId -> count)
+const PUBLISHER_STREAMS = 'publisherStreams';
+
+/**
+ * Get the name of a per-stream collection
+ * @param {string} name - Collection kind
+ * @param {string} streamId - Stream identifier
+ * @returns {string} Collection name
+ */
+function streamCollection(name, streamId) {
+    return `${name}:${streamId}`;
+}
+
+let store = createStore({
+    driver: process.env.STORE_DRIVER,
+    filePath: process.env.STORE_FILE_PATH,
+    redisUrl: process.env.REDIS_URL,
+    keyPrefix: process.env.STORE_KEY_PREFIX
+});
+
+/**
+ * Replace the active store (e.g. with a local stand-in during tests)
+ * @param {Object} newStore - Store created by store.js
+ */
+function useStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * Get the active store
+ * @returns {Object} Store
+ */
+function getStore() {
+    return store;
+}
 
 /**
  * Generate a cryptographically secure stream ID
  * @returns {string} Encrypted stream ID
  */
 function generateStreamId() {
-    const rawId = uuidv4();
-    const encrypted = crypto.createHash('sha256')
-        .update(rawId + tokenConfig.jwt.secret)
-        .digest('hex')
-        .substring(0, 32);
-    return encrypted;
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Build the player URL for a viewer token
+ * @param {string} token - JWT token string
+ * @param {string} streamId - Stream identifier
+ * @returns {string} Relative viewer URL
+ */
+function buildViewerUrl(token, streamId) {
+    return `/player.html?token=${token}&sid=${streamId}`;
+}
+
+/**
+ * Sign a JWT for an existing token record
+ * @param {Object} streamData - Stream record
+ * @param {string} jti - Token ID
+ * @param {Date} expiresAt - JWT expiry
+ * @returns {string} JWT token string
+ */
+function signJwt(streamData, jti, expiresAt) {
+    const now = Math.floor(Date.now() / 1000);
+    const tokenPayload = {
+        streamId: streamData.streamId,
+        url: streamData.encryptedUrl,
+        iat: now,
+        exp: now + Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000)),
+        type: 'stream-access',
+        iss: tokenConfig.jwt.issuer,
+        aud: tokenConfig.jwt.audience,
+        jti
+    };
+
+    const key = keyRing.getSigningKey();
+    if (key.algorithm === 'EdDSA') {
+        return signEdDSA(tokenPayload, key.privateKey, key.kid);
+    }
+    return jwt.sign(tokenPayload, key.secret || key.privateKey, {
+        algorithm: key.algorithm,
+        keyid: key.kid
+    });
+}
+
+/**
+ * Get the effective expiry of a token record
+ * Records without their own expiry follow the stream's expiry.
+ * @param {Object} streamData - Stream record
+ * @param {Object} record - Token record
+ * @returns {Date} Effective expiry
+ */
+function getTokenExpiry(streamData, record) {
+    const streamExpiry = new Date(streamData.expiresAt).getTime();
+    const tokenExpiry = record.expiresAt ? new Date(record.expiresAt).getTime() : streamExpiry;
+    return new Date(Math.min(tokenExpiry, streamExpiry));
+}
+
+/**
+ * Get the expiry to sign a token with: one refresh window from now, capped
+ * at the token record's own expiry
+ * @param {Object} streamData - Stream record
+ * @param {Object} record - Token record
+ * @returns {Date} JWT expiry
+ */
+function getSignedExpiry(streamData, record) {
+    const windowMs = tokenConfig.stream.tokenRefreshWindowMinutes * 60 * 1000;
+    return new Date(Math.min(Date.now() + windowMs, getTokenExpiry(streamData, record).getTime()));
+}
+
+/**
+ * Sign a viewer token for a stream and record it in the stream's token set
+ * The token is short-lived (one refresh window) and renewed with
+ * refreshToken() until the record or the stream expires.
+ * @param {Object} streamData - Stream record (mutated, caller must persist)
+ * @param {Object} [options]
+ * @param {string} [options.label] - Human readable label (e.g. recipient)
+ * @param {number} [options.expiryMinutes] - Access expiry in minutes, across refreshes (defaults to the stream's expiry)
+ * @param {number} [options.maxUses] - Maximum viewer sessions opened with this token
+ * @returns {Object} Token string and its record
+ */
+function signStreamToken(streamData, options = {}) {
+    const jti = uuidv4(); // Unique token ID for revocation support
+
+    const record = {
+        jti,
+        label: options.label || null,
+        createdAt: new Date(),
+        expiresAt: options.expiryMinutes
+            ? new Date(Date.now() + options.expiryMinutes * 60 * 1000)
+            : null,
+        maxUses: options.maxUses || null,
+        // Counted in the stream's TOKEN_USES collection
+        uses: 0,
+        revokedAt: null
+    };
+
+    const token = signJwt(streamData, jti, getSignedExpiry(streamData, record));
+
+    streamData.tokens = streamData.tokens || {};
+    streamData.tokens[jti] = record;
+
+    return { token, record };
 }
 
 /**
  * Generate JWT token for stream access
  * @param {Object} payload - Token payload
  * @param {string} payload.streamId - Unique stream identifier
- * @param {string} payload.originalUrl - Original HLS URL (encrypted)
+ * @param {string} payload.originalUrl - Original HLS URL (stored encrypted)
+ * @param {string[]} [payload.backupUrls] - Mirror origins to fail over to (stored encrypted)
+ * @param {Object} [payload.upstreamHeaders] - Headers sent with every upstream request (encrypted)
+ * @param {Object} [payload.accessRules] - Where the stream may be watched from (normalized, see accessRules.js)
  * @param {number} payload.expiryMinutes - Token expiry in minutes
- * @returns {Object} Token and metadata
+ * @param {string} [payload.ownerKeyId] - API key that created the stream
+ * @param {string} [payload.createdBy] - Publisher that owns the stream
+ * @param {Object} [options]
+ * @param {number} [options.maxPublisherStreams] - The publisher's active stream quota, checked atomically with claiming a slot
+ * @returns {Promise<Object>} Token and metadata
  */
-function generateToken(payload) {
+async function generateToken(payload, options = {}) {
+    if (payload.createdBy) {
+        await claimPublisherStream(payload.createdBy, options.maxPublisherStreams);
+    }
+
     try {
         const streamId = payload.streamId || generateStreamId();
         const expiryMinutes = payload.expiryMinutes || tokenConfig.stream.defaultExpiryMinutes;
         
-        // Encrypt the original URL before storing in token
-        const encryptedUrl = encryptUrl(payload.originalUrl);
-        
-        const tokenPayload = {
-            streamId,
-            url: encryptedUrl,
-            iat: Math.floor(Date.now() / 1000),
-            type: 'stream-access'
-        };
-
-        const token = jwt.sign(tokenPayload, tokenConfig.jwt.secret, {
-            expiresIn: `${expiryMinutes}m`,
-            issuer: tokenConfig.jwt.issuer,
-            audience: tokenConfig.jwt.audience,
-            jwtid: uuidv4() // Unique token ID for revocation support
-        });
+        // Encrypt the original URL before storing in token (bound to this stream)
+        const encryptedUrl = encryptUrl(payload.originalUrl, streamId);
 
         // Store stream metadata
         const streamData = {
             streamId,
-            originalUrl: payload.originalUrl,
+            // Origins are only stored encrypted, so persisted state (file
+            // snapshot, Redis) never holds them in plaintext
             encryptedUrl,
+            encryptedBackupUrls: (payload.backupUrls || []).map(backupUrl => encryptUrl(backupUrl, streamId)),
+            // Origin credentials (cookies, bearer tokens) are stored encrypted like the URL
+            encryptedHeaders: payload.upstreamHeaders
+                ? encryptUrl(JSON.stringify(payload.upstreamHeaders), streamId)
+                : null,
             createdAt: new Date(),
             expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
-            viewerCount: 0,
             maxViewers: tokenConfig.stream.maxConcurrentViewers,
             isActive: true,
-            tokenJti: jwt.decode(token).jti
+            ownerKeyId: payload.ownerKeyId || null,
+            createdBy: payload.createdBy || null,
+            accessRules: payload.accessRules || null,
+            tokens: {}
         };
 
-        activeStreams.set(streamId, streamData);
+        const { token, record } = signStreamToken(streamData, { label: 'default' });
+
+        await store.set(STREAMS, streamId, streamData);
 
         logger.logStreamEvent('token_generated', {
             streamId,
             expiryMinutes,
-            jti: streamData.tokenJti
+            jti: record.jti
         });
 
         return {
             token,
             streamId,
             expiresAt: streamData.expiresAt,
-            viewerUrl: `/player.html?token=${token}&sid=${streamId}`
+            viewerUrl: buildViewerUrl(token, streamId)
         };
     } catch (error) {
         logger.logError(error, { context: 'generateToken' });
+        if (payload.createdBy) {
+            await releasePublisherStream(payload.createdBy);
+        }
         throw new Error('Failed to generate access token');
     }
 }
 
+/**
+ * Mint an additional viewer token for an existing stream
+ * @param {string} streamId - Stream identifier
+ * @param {Object} [options]
+ * @param {string} [options.label] - Human readable label
+ * @param {number} [options.expiryMinutes] - Token expiry in minutes (capped at stream expiry)
+ * @param {number} [options.maxUses] - Maximum viewer sessions opened with this token
+ * @returns {Promise<Object|null>} Token and metadata, or null if the stream does not exist
+ */
+async function issueViewerToken(streamId, options = {}) {
+    let issued = null;
+    const streamData = await store.update(STREAMS, streamId, (current) => {
+        if (!current) {
+            return undefined;
+        }
+        if (!current.isActive || current.expiresAt < new Date()) {
+            throw accessError('Stream is no longer active', 410);
+        }
+        issued = signStreamToken(current, options);
+        return current;
+    });
+    if (!streamData) {
+        return null;
+    }
+
+    const { token, record } = issued;
+
+    logger.logStreamEvent('token_issued', {
+        streamId,
+        jti: record.jti,
+        label: record.label,
+        maxUses: record.maxUses
+    });
+
+    return {
+        token,
+        ...record,
+        viewerUrl: buildViewerUrl(token, streamId)
+    };
+}
+
+/**
+ * List the tokens issued for a stream
+ * @param {string} streamId - Stream identifier
+ * @returns {Promise<Array|null>} Token records, or null if the stream does not exist
+ */
+async function listStreamTokens(streamId) {
+    const streamData = await store.get(STREAMS, streamId);
+    if (!streamData) {
+        return null;
+    }
+
+    const uses = streamCollection(TOKEN_USES, streamId);
+    return Promise.all(Object.values(streamData.tokens || {}).map(async record => ({
+        ...record,
+        uses: (await store.get(uses, record.jti)) || 0
+    })));
+}
+
+/**
+ * Revoke a single viewer token and drop the sessions opened with it
+ * @param {string} streamId - Stream identifier
+ * @param {string} jti - Token ID
+ * @returns {Promise<Object>} Result
+ */
+async function revokeToken(streamId, jti) {
+    let revoked = false;
+    const streamData = await store.update(STREAMS, streamId, (current) => {
+        const record = current && current.tokens && current.tokens[jti];
+        revoked = Boolean(record && !record.revokedAt);
+        if (!revoked) {
+            return undefined;
+        }
+        record.revokedAt = new Date();
+        return current;
+    });
+    if (!streamData || !streamData.tokens || !streamData.tokens[jti]) {
+        return { success: false, message: 'Token not found' };
+    }
+
+    if (revoked) {
+        // Sessions are dropped once the revocation is stored, so no new ones can join
+        for (const session of await store.list(SESSIONS)) {
+            if (session.streamId === streamId && session.jti === jti) {
+                await deleteSession(session);
+            }
+        }
+
+        publishViewerCount(streamId, await countViewers(streamId));
+
+        logger.logStreamEvent('token_revoked', { streamId, jti });
+    }
+
+    return { success: true, message: 'Token revoked successfully' };
+}
+
+/**
+ * Refresh a viewer token
+ * Tokens are signed for one refresh window (`tokenRefreshWindowMinutes`), so
+ * viewers renew them while watching; any unexpired token can be refreshed,
+ * however recently it was issued, while the stream is still active. The new
+ * token keeps the same
+ * jti (so revocation and usage limits still apply) and lives for one more
+ * window, capped at the token record's and the stream's expiry.
+ * @param {string} token - Current JWT token string
+ * @param {Object} [options] - Validation options (see validateToken)
+ * @returns {Promise<Object>} New token and its expiry
+ */
+async function refreshToken(token, options = {}) {
+    const validation = await validateToken(token, options);
+    if (!validation.valid) {
+        throw accessError(validation.error, validation.status);
+    }
+
+    const { decoded, streamData } = validation;
+    if (decoded.external) {
+        throw accessError('Externally issued tokens are refreshed by their issuer', 400);
+    }
+
+    if (getTokenExpiry(streamData, streamData.tokens[decoded.jti]) <= new Date()) {
+        throw accessError('Stream access has expired', 410);
+    }
+
+    // Revocation and stopping are checked again against the record being
+    // written, so a refresh racing them cannot hand out a new token
+    const updated = await store.update(STREAMS, streamData.streamId, (current) => {
+        const latest = current && current.tokens && current.tokens[decoded.jti];
+        if (!latest || latest.revokedAt) {
+            throw accessError('Token has been revoked', 401);
+        }
+        if (!current.isActive) {
+            throw accessError('Stream has been stopped', 410);
+        }
+        latest.refreshedAt = new Date();
+        latest.refreshCount = (latest.refreshCount || 0) + 1;
+        return current;
+    });
+
+    const record = updated.tokens[decoded.jti];
+    const expiresAt = getSignedExpiry(updated, record);
+    const newToken = signJwt(updated, decoded.jti, expiresAt);
+
+    logger.logStreamEvent('token_refreshed', {
+        streamId: updated.streamId,
+        jti: decoded.jti,
+        refreshCount: record.refreshCount
+    });
+
+    return {
+        token: newToken,
+        expiresAt
+    };
+}
+
+/**
+ * Create an access error carrying the HTTP status the caller should respond with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code (e.g. 401 for bad tokens, 410 for gone streams)
+ * @returns {Error} Error with status
+ */
+function accessError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Verify a JWT against the key named in its header
+ * The algorithm is taken from the key, never from the token. Tokens signed
+ * before key IDs were introduced are tried against every HMAC key.
+ * @param {string} token - JWT token string
+ * @returns {Object} Decoded payload
+ * @throws {Error} When no key verifies the token
+ */
+function verifyJwt(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const header = decoded ? decoded.header : {};
+    const keys = header.kid
+        ? [keyRing.findSigningKey(header.kid)].filter(Boolean)
+        : keyRing.listSigningKeys().filter(key => key.secret);
+    if (keys.length === 0) {
+        throw accessError('Token signed with an unknown key', 401);
+    }
+
+    let lastError;
+    for (const key of keys) {
+        if (header.alg !== key.algorithm) {
+            lastError = new Error(`Token algorithm does not match key ${key.kid}`);
+            continue;
+        }
+
+        try {
+            const options = {
+                issuer: tokenConfig.jwt.issuer,
+                audience: tokenConfig.jwt.audience,
+                ignoreExpiration: true
+            };
+            if (key.algorithm === 'EdDSA') {
+                return verifyEdDSA(token, key.publicKey, options);
+            }
+            return jwt.verify(token, key.secret || key.publicKey, { ...options, algorithms: [key.algorithm] });
+        } catch (error) {
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Verify a token from a trusted issuer for one of the streams it grants
+ * @param {string} token - JWT token string
+ * @param {string} [streamId] - Requested stream; optional when the token grants a single stream
+ * @returns {Object} Decoded payload in the shape of our own tokens, with `external: true`
+ * @throws {Error} 401 for invalid tokens, 400 without a stream, 403 for streams not granted
+ */
+function verifyExternalToken(token, streamId) {
+    const identity = trustedIssuers.verify(token);
+    const requested = streamId || (identity.streams.length === 1 ? identity.streams[0] : null);
+
+    if (!requested) {
+        throw accessError('streamId is required for this token', 400);
+    }
+    if (!identity.streams.includes(requested)) {
+        throw accessError('Token does not grant access to this stream', 403);
+    }
+
+    return {
+        streamId: requested,
+        iss: identity.issuer,
+        sub: identity.subject,
+        iat: identity.iat,
+        exp: identity.exp,
+        jti: null,
+        external: true
+    };
+}
+
 /**
  * Validate and decode JWT token
+ * Our tokens expire at their JWT `exp` (one refresh window after signing);
+ * the stored stream and token expiry and revocation also apply, so stopping
+ * or shortening a stream takes effect on tokens already handed out.
+ * Tokens from a trusted issuer carry no stream of their own: they name the
+ * streams they grant, are checked against the requested one and expire at
+ * their own `exp`.
  * @param {string} token - JWT token string
- * @returns {Object} Decoded token payload
+ * @param {Object} [options]
+ * @param {string} [options.streamId] - Requested stream (for tokens from a trusted issuer)
+ * @param {Object} [options.viewer] - Viewer context for the stream's access rules (accessRules.getViewerContext);
+ *                                    streams with rules refuse validations without one
+ * @param {string} [options.sessionId] - Viewer session joined with this token; stands in for the referrer
+ *                                       rule, which was checked against the embedding page at join
+ * @param {boolean} [options.requireSession] - Refuse tokens with a usage limit unless `sessionId` names a
+ *                                             live session joined with them (maxUses is counted at join)
+ * @returns {Promise<Object>} Validation result; on failure includes `status` (400, 401, 403 or 410)
  */
-function validateToken(token) {
+async function validateToken(token, options = {}) {
     try {
-        const decoded = jwt.verify(token, tokenConfig.jwt.secret, {
-            issuer: tokenConfig.jwt.issuer,
-            audience: tokenConfig.jwt.audience
-        });
+        const decoded = trustedIssuers.isTrusted(token)
+            ? verifyExternalToken(token, options.streamId)
+            : verifyJwt(token);
 
         // Check if stream is still active
-        const streamData = activeStreams.get(decoded.streamId);
+        const streamData = await store.get(STREAMS, decoded.streamId);
         if (!streamData) {
-            throw new Error('Stream not found or expired');
+            throw accessError('Stream not found or expired', 410);
         }
 
         if (!streamData.isActive) {
-            throw new Error('Stream has been stopped');
+            throw accessError('Stream has been stopped', 410);
         }
 
-        // Check token JTI matches (prevents revoked tokens)
-        if (decoded.jti !== streamData.tokenJti) {
-            throw new Error('Token has been revoked');
+        if (streamData.expiresAt <= new Date()) {
+            throw accessError('Stream has expired', 410);
         }
 
+        // Looked up at most once, for the checks that need it
+        let joined;
+        const isJoined = async () => {
+            if (joined === undefined) {
+                const session = options.sessionId ? await store.get(SESSIONS, options.sessionId) : null;
+                joined = Boolean(session && session.streamId === decoded.streamId
+                    && session.jti === (decoded.jti || null));
+            }
+            return joined;
+        };
+
+        if (streamData.accessRules) {
+            const viewer = { ...(options.viewer || {}) };
+            if (streamData.accessRules.allowedReferrers) {
+                viewer.joined = await isJoined();
+            }
+            const denial = checkAccessRules(streamData.accessRules, viewer);
+            if (denial) {
+                logger.logSecurityEvent('stream_access_denied', {
+                    streamId: decoded.streamId,
+                    ...denial
+                });
+                throw accessError('Access to this stream is restricted', 403);
+            }
+        }
+
+        if (decoded.external) {
+            logger.logStreamEvent('token_validated', {
+                streamId: decoded.streamId,
+                issuer: decoded.iss,
+                subject: decoded.sub
+            }, 'debug');
+            return { valid: true, decoded, streamData };
+        }
+
+        // Check token JTI belongs to the stream's token set (prevents revoked tokens)
+        const tokenRecord = streamData.tokens && streamData.tokens[decoded.jti];
+        if (!tokenRecord || tokenRecord.revokedAt) {
+            throw accessError('Token has been revoked', 401);
+        }
+
+        if (decoded.exp * 1000 <= Date.now() || getTokenExpiry(streamData, tokenRecord) <= new Date()) {
+            throw accessError('Token has expired', 401);
+        }
+
+        if (options.requireSession && tokenRecord.maxUses && !await isJoined()) {
+            throw accessError('Join the stream before playback: this link has a usage limit', 403);
+        }
+
+        // Every proxied manifest, segment and key is validated: debug level
         logger.logStreamEvent('token_validated', {
             streamId: decoded.streamId,
             jti: decoded.jti
-        });
+        }, 'debug');
 
         return {
             valid: true,
@@ -162,29 +647,37 @@ function validateToken(token) {
         });
         return {
             valid: false,
-            error: error.message
+            error: error.message,
+            status: error.status || 401
         };
     }
 }
 
 /**
  * Encrypt URL for secure storage in token
+ * When a streamId is given it is bound as GCM additional authenticated data,
+ * so the ciphertext only decrypts in the context of that stream. The result
+ * is prefixed with the ID of the encryption key.
  * @param {string} url - URL to encrypt
- * @returns {string} Encrypted URL
+ * @param {string} [streamId] - Stream the URL belongs to
+ * @returns {string} Encrypted URL ("kid:iv:tag:ciphertext")
  */
-function encryptUrl(url) {
+function encryptUrl(url, streamId) {
     try {
         const algorithm = 'aes-256-gcm';
-        const key = crypto.scryptSync(tokenConfig.jwt.secret, 'salt', 32);
-        const iv = crypto.randomBytes(16);
+        const { kid } = keyRing.getEncryptionKey();
+        const iv = crypto.randomBytes(12);
         
-        const cipher = crypto.createCipheriv(algorithm, key, iv);
+        const cipher = crypto.createCipheriv(algorithm, urlEncryptionKeys.get(kid), iv);
+        if (streamId) {
+            cipher.setAAD(Buffer.from(streamId, 'utf8'));
+        }
         let encrypted = cipher.update(url, 'utf8', 'hex');
         encrypted += cipher.final('hex');
         
         const authTag = cipher.getAuthTag();
         
-        return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+        return `${kid}:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
     } catch (error) {
         logger.logError(error, { context: 'encryptUrl' });
         throw new Error('Failed to encrypt URL');
@@ -193,107 +686,410 @@ function encryptUrl(url) {
 
 /**
  * Decrypt URL from token
+ * URLs encrypted before key IDs ("iv:tag:ciphertext") are tried against
+ * the legacy key of every signing key.
  * @param {string} encryptedUrl - Encrypted URL string
+ * @param {string} [streamId] - Stream the URL must belong to
  * @returns {string} Decrypted URL
  */
-function decryptUrl(encryptedUrl) {
+function decryptUrl(encryptedUrl, streamId) {
     try {
-        const algorithm = 'aes-256-gcm';
-        const key = crypto.scryptSync(tokenConfig.jwt.secret, 'salt', 32);
-        
-        const [ivHex, authTagHex, encrypted] = encryptedUrl.split(':');
-        const iv = Buffer.from(ivHex, 'hex');
-        const authTag = Buffer.from(authTagHex, 'hex');
-        
-        const decipher = crypto.createDecipheriv(algorithm, key, iv);
-        decipher.setAuthTag(authTag);
-        
-        let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        
-        return decrypted;
+        const parts = encryptedUrl.split(':');
+        const [ivHex, authTagHex, encrypted] = parts.slice(-3);
+
+        let keys;
+        if (parts.length === 4) {
+            keys = [urlEncryptionKeys.get(parts[0])].filter(Boolean);
+        } else {
+            legacyUrlKeys = legacyUrlKeys || keyRing.listSigningKeys()
+                .filter(key => key.secret)
+                .map(({ secret }) => crypto.scryptSync(secret, 'salt', 32));
+            keys = legacyUrlKeys;
+        }
+
+        let lastError = new Error('Unknown encryption key');
+        for (const key of keys) {
+            try {
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(ivHex, 'hex'));
+                decipher.setAuthTag(Buffer.from(authTagHex, 'hex'));
+                if (streamId) {
+                    decipher.setAAD(Buffer.from(streamId, 'utf8'));
+                }
+
+                let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+                decrypted += decipher.final('utf8');
+
+                return decrypted;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError;
     } catch (error) {
         logger.logError(error, { context: 'decryptUrl' });
-        throw new Error('Failed to decrypt URL - possible tampering');
+        throw accessError('Failed to decrypt URL - possible tampering', 403);
+    }
+}
+
+/**
+ * Decrypt a stream's origins
+ * @param {Object} streamData - Stream record
+ * @returns {string[]} [originalUrl, ...backupUrls]
+ */
+function decryptStreamOrigins(streamData) {
+    // Records created before origins were only stored encrypted keep plaintext backups
+    const backupUrls = streamData.encryptedBackupUrls
+        ? streamData.encryptedBackupUrls.map(encrypted => decryptUrl(encrypted, streamData.streamId))
+        : streamData.backupUrls || [];
+    return [decryptUrl(streamData.encryptedUrl, streamData.streamId), ...backupUrls];
+}
+
+/**
+ * Decrypt a stream's upstream request headers
+ * @param {Object} streamData - Stream record
+ * @returns {Object} Header name -> value (empty when none were set)
+ */
+function decryptUpstreamHeaders(streamData) {
+    if (!streamData.encryptedHeaders) {
+        return {};
+    }
+    return JSON.parse(decryptUrl(streamData.encryptedHeaders, streamData.streamId));
+}
+
+// ============================================
+// VIEWER PRESENCE
+// ============================================
+
+/**
+ * Get how long a viewer session may go without a heartbeat
+ * @returns {number} Timeout in milliseconds
+ */
+function getViewerSessionTimeoutMs() {
+    return (tokenConfig.stream.viewerSessionTimeoutSeconds || 60) * 1000;
+}
+
+/**
+ * Get how often players should send heartbeats
+ * A third of the session timeout, so a session survives one or two lost
+ * beats before it is reaped.
+ * @returns {number} Interval in seconds
+ */
+function getHeartbeatIntervalSeconds() {
+    return Math.max(5, Math.floor(getViewerSessionTimeoutMs() / 3000));
+}
+
+/**
+ * Check whether a viewer session has sent a heartbeat recently enough
+ * @param {Object} session - Viewer session
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} Whether the session is live
+ */
+function isSessionLive(session, now = Date.now()) {
+    return now - session.lastActivity.getTime() < getViewerSessionTimeoutMs();
+}
+
+/**
+ * Write a viewer session and its entries in the stream's and the
+ * publisher's session indexes
+ * @param {Object} session - Viewer session
+ * @returns {Promise<void>}
+ */
+async function saveSession(session) {
+    const entry = { sessionId: session.sessionId, lastActivity: session.lastActivity };
+    await store.set(streamCollection(STREAM_SESSIONS, session.streamId), session.sessionId, entry);
+    if (session.publisherId) {
+        await store.set(streamCollection(PUBLISHER_SESSIONS, session.publisherId), session.sessionId, entry);
+    }
+    await store.set(SESSIONS, session.sessionId, session);
+}
+
+/**
+ * Delete a viewer session and its index entries
+ * @param {Object} session - Viewer session
+ * @returns {Promise<void>}
+ */
+async function deleteSession(session) {
+    await store.delete(SESSIONS, session.sessionId);
+    await store.delete(streamCollection(STREAM_SESSIONS, session.streamId), session.sessionId);
+    if (session.publisherId) {
+        await store.delete(streamCollection(PUBLISHER_SESSIONS, session.publisherId), session.sessionId);
+    }
+}
+
+// Live entries of a session index
+async function countLiveEntries(collection) {
+    const now = Date.now();
+    return (await store.list(collection)).filter(entry => isSessionLive(entry, now)).length;
+}
+
+/**
+ * Count live viewer sessions for every stream
+ * Lists every session, so it is meant for listings across streams; joins
+ * and status updates use countViewers().
+ * @returns {Promise<Map<string, number>>} Viewer count per stream ID
+ */
+async function getViewerCounts() {
+    const now = Date.now();
+    const counts = new Map();
+    for (const session of await store.list(SESSIONS)) {
+        if (isSessionLive(session, now)) {
+            counts.set(session.streamId, (counts.get(session.streamId) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+/**
+ * Count live viewer sessions for a stream
+ * @param {string} streamId - Stream identifier
+ * @returns {Promise<number>} Viewer count
+ */
+async function countViewers(streamId) {
+    return countLiveEntries(streamCollection(STREAM_SESSIONS, streamId));
+}
+
+/**
+ * Count live viewer sessions across a publisher's streams
+ * @param {string} publisherId - Publisher ID
+ * @returns {Promise<number>} Viewer count
+ */
+async function countPublisherViewers(publisherId) {
+    return countLiveEntries(streamCollection(PUBLISHER_SESSIONS, publisherId));
+}
+
+/**
+ * Count a publisher's active streams
+ * Stopped streams no longer count; expired ones until the cleanup removes them.
+ * @param {string} publisherId - Publisher ID
+ * @returns {Promise<number>} Active stream count
+ */
+async function countPublisherStreams(publisherId) {
+    return (await store.get(PUBLISHER_STREAMS, publisherId)) || 0;
+}
+
+/**
+ * Take one of a publisher's active stream slots
+ * The counter is claimed before checking the quota, so concurrent requests
+ * can never exceed it (at worst both are refused).
+ * @param {string} publisherId - Publisher ID
+ * @param {number} [maxActiveStreams] - Quota to enforce; none when omitted
+ * @returns {Promise<void>}
+ * @throws {Error} 429 when the quota is reached
+ */
+async function claimPublisherStream(publisherId, maxActiveStreams) {
+    const activeStreams = await store.increment(PUBLISHER_STREAMS, publisherId);
+    if (maxActiveStreams && activeStreams > maxActiveStreams) {
+        await releasePublisherStream(publisherId);
+        logger.logSecurityEvent('publisher_quota_exceeded', {
+            publisherId,
+            quota: 'maxActiveStreams',
+            limit: maxActiveStreams
+        });
+        throw accessError(`Active stream quota reached (${maxActiveStreams})`, 429);
+    }
+}
+
+/**
+ * Give back one of a publisher's active stream slots
+ * @param {string} publisherId - Publisher ID
+ * @returns {Promise<void>}
+ */
+async function releasePublisherStream(publisherId) {
+    await store.increment(PUBLISHER_STREAMS, publisherId, -1);
+}
+
+/**
+ * Count a new viewer session against the uses of the token it joined with
+ * The counter is incremented first and given back when that exceeds the
+ * limit, so concurrent joins can never open more sessions than `maxUses`.
+ * @param {Object} streamData - Stream record
+ * @param {string} [jti] - Token ID
+ * @param {string} sessionId - Viewer session identifier
+ * @returns {Promise<void>}
+ * @throws {Error} 403 when the token's usage limit is reached
+ */
+async function claimTokenUse(streamData, jti, sessionId) {
+    const tokenRecord = jti && streamData.tokens ? streamData.tokens[jti] : null;
+    if (!tokenRecord) {
+        return;
+    }
+
+    // A reaped session re-joining with its own ID has already used the token
+    const tokenSessions = streamCollection(TOKEN_SESSIONS, streamData.streamId);
+    if (tokenRecord.maxUses && await store.get(tokenSessions, `${jti}:${sessionId}`)) {
+        return;
+    }
+
+    const uses = streamCollection(TOKEN_USES, streamData.streamId);
+    if (await store.increment(uses, jti) > (tokenRecord.maxUses || Infinity)) {
+        await store.increment(uses, jti, -1);
+        throw accessError('Token usage limit reached', 403);
+    }
+    if (tokenRecord.maxUses) {
+        await store.set(tokenSessions, `${jti}:${sessionId}`, { joinedAt: new Date() });
     }
 }
 
 /**
  * Register a new viewer session
+ * Re-joining with an existing session ID only refreshes that session.
  * @param {string} streamId - Stream identifier
  * @param {string} sessionId - Viewer session identifier
- * @returns {Object} Session info
+ * @param {string} [jti] - ID of the token the viewer joined with (counts against its max uses)
+ * @param {Object} [options]
+ * @param {number} [options.maxPublisherViewers] - Viewer quota across the publisher's streams
+ * @returns {Promise<Object>} Session info
  */
-function registerViewer(streamId, sessionId = uuidv4()) {
-    const streamData = activeStreams.get(streamId);
+async function registerViewer(streamId, sessionId = uuidv4(), jti = null, options = {}) {
+    const streamData = await store.get(STREAMS, streamId);
     if (!streamData) {
         throw new Error('Stream not found');
     }
 
-    if (streamData.viewerCount >= streamData.maxViewers) {
-        throw new Error('Maximum viewer limit reached');
+    const existing = await store.get(SESSIONS, sessionId);
+    if (existing && existing.streamId === streamId) {
+        existing.lastActivity = new Date();
+        await saveSession(existing);
+        return existing;
     }
 
-    streamData.viewerCount++;
-    
     const session = {
         sessionId,
         streamId,
+        publisherId: streamData.createdBy || null,
+        jti,
         joinedAt: new Date(),
         lastActivity: new Date()
     };
 
-    viewerSessions.set(sessionId, session);
-    activeStreams.set(streamId, streamData);
+    // Claim a place in the indexes before checking the limits, so
+    // concurrent joins can never exceed them (at worst both are refused)
+    await saveSession(session);
+    try {
+        if (await countViewers(streamId) > streamData.maxViewers) {
+            throw accessError('Maximum viewer limit reached', 403);
+        }
+        if (session.publisherId && options.maxPublisherViewers
+            && await countPublisherViewers(session.publisherId) > options.maxPublisherViewers) {
+            logger.logSecurityEvent('publisher_quota_exceeded', {
+                publisherId: session.publisherId,
+                quota: 'maxTotalViewers',
+                limit: options.maxPublisherViewers
+            });
+            throw accessError('Maximum viewer limit reached', 403);
+        }
+        await claimTokenUse(streamData, jti, sessionId);
+    } catch (error) {
+        await deleteSession(session);
+        throw error;
+    }
+
+    const viewerCount = await countViewers(streamId);
+    publishViewerCount(streamId, viewerCount);
 
     logger.logStreamEvent('viewer_joined', {
         streamId,
         sessionId,
-        viewerCount: streamData.viewerCount
+        viewerCount
     });
 
     return session;
 }
 
+/**
+ * Record a heartbeat for a viewer session
+ * @param {string} sessionId - Viewer session identifier
+ * @returns {Promise<Object|null>} Updated session, or null if it no longer exists
+ */
+async function heartbeat(sessionId) {
+    const session = await store.get(SESSIONS, sessionId);
+    if (!session) {
+        return null;
+    }
+
+    session.lastActivity = new Date();
+    await saveSession(session);
+
+    return session;
+}
+
 /**
  * Remove a viewer session
  * @param {string} sessionId - Viewer session identifier
+ * @returns {Promise<void>}
  */
-function removeViewer(sessionId) {
-    const session = viewerSessions.get(sessionId);
+async function removeViewer(sessionId) {
+    const session = await store.get(SESSIONS, sessionId);
     if (session) {
-        const streamData = activeStreams.get(session.streamId);
-        if (streamData) {
-            streamData.viewerCount = Math.max(0, streamData.viewerCount - 1);
-            activeStreams.set(session.streamId, streamData);
-
-            logger.logStreamEvent('viewer_left', {
-                streamId: session.streamId,
-                sessionId,
-                viewerCount: streamData.viewerCount
-            });
+        await deleteSession(session);
+
+        const viewerCount = await countViewers(session.streamId);
+        publishViewerCount(session.streamId, viewerCount);
+
+        logger.logStreamEvent('viewer_left', {
+            streamId: session.streamId,
+            sessionId,
+            viewerCount
+        });
+    }
+}
+
+/**
+ * Drop viewer sessions that stopped sending heartbeats (call periodically)
+ * Covers crashed tabs and sleeping devices that never sent a leave request.
+ * @returns {Promise<number>} Number of sessions removed
+ */
+async function reapStaleSessions() {
+    const now = Date.now();
+    const affectedStreams = new Set();
+    let reapedCount = 0;
+
+    for (const session of await store.list(SESSIONS)) {
+        if (!isSessionLive(session, now)) {
+            await deleteSession(session);
+            affectedStreams.add(session.streamId);
+            reapedCount++;
+        }
+    }
+
+    if (reapedCount > 0) {
+        for (const streamId of affectedStreams) {
+            publishViewerCount(streamId, await countViewers(streamId));
         }
-        viewerSessions.delete(sessionId);
+
+        logger.logStreamEvent('stale_sessions_reaped', { reapedCount });
     }
+
+    return reapedCount;
 }
 
 /**
  * Stop a stream and invalidate all tokens
  * @param {string} streamId - Stream identifier
+ * @returns {Promise<Object>} Result
  */
-function stopStream(streamId) {
-    const streamData = activeStreams.get(streamId);
+async function stopStream(streamId) {
+    let wasActive = false;
+    const streamData = await store.update(STREAMS, streamId, (current) => {
+        if (!current) {
+            return undefined;
+        }
+        wasActive = current.isActive;
+        // Inactive streams fail validation for every token in their set
+        current.isActive = false;
+        current.stoppedAt = new Date();
+        return current;
+    });
     if (streamData) {
-        streamData.isActive = false;
-        streamData.stoppedAt = new Date();
-        activeStreams.set(streamId, streamData);
+        if (wasActive && streamData.createdBy) {
+            await releasePublisherStream(streamData.createdBy);
+        }
 
-        // Generate new JTI to invalidate existing tokens
-        streamData.tokenJti = uuidv4();
+        publishStreamEvent(streamId, 'stopped', { stoppedAt: streamData.stoppedAt });
 
         logger.logStreamEvent('stream_stopped', {
             streamId,
-            finalViewerCount: streamData.viewerCount
+            finalViewerCount: await countViewers(streamId)
         });
 
         return { success: true, message: 'Stream stopped successfully' };
@@ -301,13 +1097,136 @@ function stopStream(streamId) {
     return { success: false, message: 'Stream not found' };
 }
 
+/**
+ * Extend (or, with negative minutes, shorten) a stream's expiry
+ * Viewers keep their links; tokens pick up the new expiry on refresh.
+ * @param {string} streamId - Stream identifier
+ * @param {number} minutes - Minutes to add to the current expiry
+ * @returns {Promise<Object>} Result with the new expiry
+ */
+async function extendStream(streamId, minutes) {
+    const streamData = await store.update(STREAMS, streamId, (current) => {
+        if (!current || !current.isActive) {
+            return undefined;
+        }
+        current.expiresAt = new Date(current.expiresAt.getTime() + minutes * 60 * 1000);
+        return current;
+    });
+    if (!streamData) {
+        return { success: false, message: 'Stream not found' };
+    }
+
+    if (!streamData.isActive) {
+        return { success: false, message: 'Stream has been stopped' };
+    }
+
+    publishStreamEvent(streamId, 'updated', streamUpdate(streamData));
+
+    logger.logStreamEvent('stream_extended', {
+        streamId,
+        minutes,
+        expiresAt: streamData.expiresAt
+    });
+
+    return { success: true, expiresAt: streamData.expiresAt };
+}
+
+/**
+ * Build the payload of an 'updated' stream event
+ * @param {Object} streamData - Stream record
+ * @returns {Object} { expiresAt, maxViewers, isActive }
+ */
+function streamUpdate(streamData) {
+    return {
+        expiresAt: streamData.expiresAt,
+        maxViewers: streamData.maxViewers,
+        isActive: streamData.isActive
+    };
+}
+
+/**
+ * Update a live stream's expiry, viewer limit and active state in place
+ * Existing links keep working and pick up the new settings immediately.
+ * @param {string} streamId - Stream identifier
+ * @param {Object} changes
+ * @param {Date} [changes.expiresAt] - New expiry (must be in the future)
+ * @param {number} [changes.maxViewers] - New concurrent viewer limit
+ * @param {boolean} [changes.isActive] - Stop (false) or resume (true) the stream
+ * @param {Object} [options]
+ * @param {number} [options.maxPublisherStreams] - The publisher's active stream quota, checked when resuming
+ * @returns {Promise<Object|null>} Updated stream statistics, or null if the stream does not exist
+ */
+async function updateStream(streamId, changes, options = {}) {
+    if (changes.expiresAt !== undefined
+        && (!(changes.expiresAt instanceof Date) || isNaN(changes.expiresAt) || changes.expiresAt <= new Date())) {
+        throw accessError('expiresAt must be a valid date in the future', 400);
+    }
+
+    if (changes.maxViewers !== undefined && (!Number.isInteger(changes.maxViewers) || changes.maxViewers < 1)) {
+        throw accessError('maxViewers must be a positive integer', 400);
+    }
+
+    // A resumed stream takes one of its publisher's slots again, claimed
+    // before the record is written and given back if it was not resumed
+    const before = changes.isActive ? await store.get(STREAMS, streamId) : null;
+    const claimedBy = before && !before.isActive && before.createdBy;
+    if (claimedBy) {
+        await claimPublisherStream(claimedBy, options.maxPublisherStreams);
+    }
+
+    let toggled = false;
+    let streamData;
+    try {
+        streamData = await store.update(STREAMS, streamId, (current) => {
+            toggled = false;
+            if (!current) {
+                return undefined;
+            }
+            if (changes.expiresAt !== undefined) {
+                current.expiresAt = changes.expiresAt;
+            }
+            if (changes.maxViewers !== undefined) {
+                current.maxViewers = changes.maxViewers;
+            }
+            if (changes.isActive !== undefined && Boolean(changes.isActive) !== current.isActive) {
+                current.isActive = Boolean(changes.isActive);
+                current.stoppedAt = current.isActive ? null : new Date();
+                toggled = true;
+            }
+            return current;
+        });
+    } finally {
+        if (claimedBy && !(toggled && streamData && streamData.isActive)) {
+            await releasePublisherStream(claimedBy);
+        }
+    }
+    if (!streamData) {
+        return null;
+    }
+
+    if (toggled && streamData.createdBy) {
+        if (!streamData.isActive) {
+            await releasePublisherStream(streamData.createdBy);
+        } else if (!claimedBy) {
+            // Stopped by another request after it was read: count it, past the quota
+            await claimPublisherStream(streamData.createdBy);
+        }
+    }
+
+    publishStreamEvent(streamId, 'updated', streamUpdate(streamData));
+
+    logger.logStreamEvent('stream_updated', { streamId, ...streamUpdate(streamData) });
+
+    return getStreamStats(streamId);
+}
+
 /**
  * Get stream statistics
  * @param {string} streamId - Stream identifier
- * @returns {Object} Stream statistics
+ * @returns {Promise<Object|null>} Stream statistics
  */
-function getStreamStats(streamId) {
-    const streamData = activeStreams.get(streamId);
+async function getStreamStats(streamId) {
+    const streamData = await store.get(STREAMS, streamId);
     if (!streamData) {
         return null;
     }
@@ -315,30 +1234,87 @@ function getStreamStats(streamId) {
     return {
         streamId,
         isActive: streamData.isActive,
-        viewerCount: streamData.viewerCount,
+        viewerCount: await countViewers(streamId),
         maxViewers: streamData.maxViewers,
         createdAt: streamData.createdAt,
         expiresAt: streamData.expiresAt,
+        accessRules: streamData.accessRules || null,
+        activeTokens: Object.values(streamData.tokens || {})
+            .filter(record => !record.revokedAt && getTokenExpiry(streamData, record) > new Date()).length,
         uptime: Date.now() - streamData.createdAt.getTime()
     };
 }
 
+/**
+ * Get a stored stream record
+ * @param {string} streamId - Stream identifier
+ * @returns {Promise<Object|null>} Stream record
+ */
+async function getStream(streamId) {
+    return store.get(STREAMS, streamId);
+}
+
+/**
+ * List all stored streams
+ * @returns {Promise<Array>} Stream records
+ */
+async function listStreams() {
+    return store.list(STREAMS);
+}
+
+/**
+ * Count stored streams
+ * @returns {Promise<number>} Stream count
+ */
+async function countStreams() {
+    return store.count(STREAMS);
+}
+
 /**
  * Cleanup expired streams (call periodically)
+ * Stopped streams are kept until they expire, so they can still be resumed.
+ * @returns {Promise<number>} Number of streams removed
  */
-function cleanupExpiredStreams() {
+async function cleanupExpiredStreams() {
     const now = new Date();
     let cleanedCount = 0;
 
-    for (const [streamId, streamData] of activeStreams.entries()) {
-        if (streamData.expiresAt < now || !streamData.isActive) {
-            // Clean up viewer sessions for this stream
-            for (const [sessionId, session] of viewerSessions.entries()) {
-                if (session.streamId === streamId) {
-                    viewerSessions.delete(sessionId);
+    const streams = await store.list(STREAMS);
+    const sessions = await store.list(SESSIONS);
+
+    for (const streamData of streams) {
+        if (streamData.expiresAt < now) {
+            // Deactivated first, in one step with re-checking the expiry, so a
+            // stream extended meanwhile is kept and its publisher's slot is
+            // released exactly once, however many instances clean up
+            let expired = false;
+            let wasActive = false;
+            await store.update(STREAMS, streamData.streamId, (current) => {
+                expired = Boolean(current) && current.expiresAt < now;
+                wasActive = expired && current.isActive;
+                if (!wasActive) {
+                    return undefined;
                 }
+                current.isActive = false;
+                return current;
+            });
+            if (!expired) {
+                continue;
             }
-            activeStreams.delete(streamId);
+            if (wasActive && streamData.createdBy) {
+                await releasePublisherStream(streamData.createdBy);
+            }
+
+            // Clean up viewer sessions and per-stream collections for this stream
+            for (const session of sessions) {
+                if (session.streamId === streamData.streamId) {
+                    await deleteSession(session);
+                }
+            }
+            for (const name of [STREAM_SESSIONS, TOKEN_USES, TOKEN_SESSIONS]) {
+                await store.clear(streamCollection(name, streamData.streamId));
+            }
+            await store.delete(STREAMS, streamData.streamId);
             cleanedCount++;
         }
     }
@@ -346,28 +1322,58 @@ function cleanupExpiredStreams() {
     if (cleanedCount > 0) {
         logger.logStreamEvent('cleanup_expired_streams', {
             cleanedCount,
-            remainingStreams: activeStreams.size
+            remainingStreams: await store.count(STREAMS)
         });
     }
 
     return cleanedCount;
 }
 
-// Schedule periodic cleanup (every 5 minutes)
-setInterval(cleanupExpiredStreams, 5 * 60 * 1000);
+// Schedule periodic cleanup (every 5 minutes); the timers do not keep the process alive
+setInterval(() => {
+    cleanupExpiredStreams().catch(error => {
+        logger.logError(error, { context: 'cleanupExpiredStreams' });
+    });
+}, 5 * 60 * 1000).unref();
+
+// Reap idle viewer sessions twice per timeout period
+setInterval(() => {
+    reapStaleSessions().catch(error => {
+        logger.logError(error, { context: 'reapStaleSessions' });
+    });
+}, getViewerSessionTimeoutMs() / 2).unref();
 
 module.exports = {
     generateToken,
+    issueViewerToken,
+    listStreamTokens,
+    revokeToken,
+    refreshToken,
     validateToken,
     encryptUrl,
     decryptUrl,
+    decryptStreamOrigins,
+    decryptUpstreamHeaders,
     registerViewer,
+    heartbeat,
     removeViewer,
+    reapStaleSessions,
+    countViewers,
+    countPublisherViewers,
+    countPublisherStreams,
+    getViewerCounts,
+    getHeartbeatIntervalSeconds,
     stopStream,
+    extendStream,
+    updateStream,
     getStreamStats,
     cleanupExpiredStreams,
+    getStream,
+    listStreams,
+    countStreams,
     generateStreamId,
-    activeStreams,
-    viewerSessions,
+    useStore,
+    getStore,
+    keyRing,
     tokenConfig
 };
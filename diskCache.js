@@ -0,0 +1,237 @@
+/**
+ * Disk Segment Cache
+ * Optional second cache tier for proxied segments on local disk
+ *
+ * Each entry is a single file written atomically (temp file + rename):
+ *   [4-byte header length][JSON header: key and metadata][segment bytes]
+ * so a crash never leaves a half-written entry behind. On startup the
+ * directory is re-indexed from the file headers, dropping expired entries
+ * and leftovers, with file modification times restoring the LRU order.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const ENTRY_EXTENSION = '.seg';
+const HEADER_LENGTH_BYTES = 4;
+
+/**
+ * Encode a cache entry file
+ * @param {Object} header - { key, meta }
+ * @param {Buffer} data - Segment data
+ * @returns {Buffer} File contents
+ */
+function encodeEntry(header, data) {
+    const headerBuffer = Buffer.from(JSON.stringify(header));
+    const lengthBuffer = Buffer.alloc(HEADER_LENGTH_BYTES);
+    lengthBuffer.writeUInt32BE(headerBuffer.length);
+    return Buffer.concat([lengthBuffer, headerBuffer, data]);
+}
+
+/**
+ * Read only the header of a cache entry file
+ * @param {string} filePath - Entry file path
+ * @returns {Promise<Object>} Header
+ */
+async function readEntryHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const lengthBuffer = Buffer.alloc(HEADER_LENGTH_BYTES);
+        await handle.read(lengthBuffer, 0, HEADER_LENGTH_BYTES, 0);
+        const headerBuffer = Buffer.alloc(lengthBuffer.readUInt32BE());
+        await handle.read(headerBuffer, 0, headerBuffer.length, HEADER_LENGTH_BYTES);
+        return JSON.parse(headerBuffer.toString());
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Create a disk cache
+ * @param {Object} options
+ * @param {string} options.dir - Cache directory
+ * @param {number} options.maxBytes - Size budget for all entries
+ * @returns {Object} Disk cache
+ */
+function createDiskCache(options) {
+    const dir = path.resolve(options.dir);
+    const maxBytes = options.maxBytes;
+
+    // key -> { filePath, size, meta }, in LRU order (oldest first)
+    const index = new Map();
+    let totalSize = 0;
+    const stats = { hits: 0, misses: 0, evictions: 0, writeErrors: 0 };
+
+    const entryPath = (key) => path.join(dir, crypto.createHash('sha256').update(key).digest('hex') + ENTRY_EXTENSION);
+
+    function forget(key) {
+        const entry = index.get(key);
+        if (entry) {
+            totalSize -= entry.size;
+            index.delete(key);
+        }
+        return entry;
+    }
+
+    async function remove(key) {
+        const entry = forget(key);
+        if (entry) {
+            await fs.promises.unlink(entry.filePath).catch(() => {});
+        }
+    }
+
+    // Rebuild the index from the entries already on disk
+    async function reindex() {
+        await fs.promises.mkdir(dir, { recursive: true });
+
+        const now = Date.now();
+        const found = [];
+
+        for (const name of await fs.promises.readdir(dir)) {
+            const filePath = path.join(dir, name);
+            try {
+                if (!name.endsWith(ENTRY_EXTENSION)) {
+                    // Temp files from interrupted writes
+                    await fs.promises.unlink(filePath);
+                    continue;
+                }
+
+                const header = await readEntryHeader(filePath);
+                const { size, mtimeMs } = await fs.promises.stat(filePath);
+
+                if (header.meta.expiresAt <= now || entryPath(header.key) !== filePath) {
+                    await fs.promises.unlink(filePath);
+                    continue;
+                }
+
+                found.push({ key: header.key, filePath, size, meta: header.meta, mtimeMs });
+            } catch (error) {
+                logger.logError(error, { context: 'Re-indexing disk cache entry', filePath });
+                await fs.promises.unlink(filePath).catch(() => {});
+            }
+        }
+
+        found.sort((a, b) => a.mtimeMs - b.mtimeMs);
+        for (const { key, mtimeMs, ...entry } of found) {
+            index.set(key, entry);
+            totalSize += entry.size;
+        }
+
+        await evict(0);
+
+        logger.info('Disk segment cache ready', { dir, entries: index.size, size: totalSize });
+    }
+
+    // Evict least recently used entries until `incoming` more bytes fit
+    async function evict(incoming) {
+        while (totalSize + incoming > maxBytes && index.size > 0) {
+            await remove(index.keys().next().value);
+            stats.evictions++;
+        }
+    }
+
+    const ready = reindex().catch((error) => {
+        logger.logError(error, { context: 'Initializing disk cache', dir });
+    });
+
+    return {
+        ready,
+
+        /**
+         * Read a cached segment, marking it as most recently used
+         * @param {string} key - Cache key
+         * @returns {Promise<Object|null>} { data, ...meta }, or null on a miss
+         */
+        async get(key) {
+            await ready;
+
+            const entry = index.get(key);
+            if (!entry) {
+                stats.misses++;
+                return null;
+            }
+
+            if (entry.meta.expiresAt <= Date.now()) {
+                await remove(key);
+                stats.misses++;
+                return null;
+            }
+
+            try {
+                const file = await fs.promises.readFile(entry.filePath);
+                const headerLength = file.readUInt32BE(0);
+
+                index.delete(key);
+                index.set(key, entry);
+                stats.hits++;
+
+                // Persist recency for the LRU order after a restart
+                const now = new Date();
+                fs.promises.utimes(entry.filePath, now, now).catch(() => {});
+
+                return {
+                    data: file.subarray(HEADER_LENGTH_BYTES + headerLength),
+                    ...entry.meta
+                };
+            } catch (error) {
+                logger.logError(error, { context: 'Reading disk cache entry', filePath: entry.filePath });
+                forget(key);
+                stats.misses++;
+                return null;
+            }
+        },
+
+        /**
+         * Store a segment
+         * @param {string} key - Cache key
+         * @param {Buffer} data - Segment data
+         * @param {Object} meta - Metadata returned with the data; expiresAt (ms) is required
+         * @returns {Promise<void>}
+         */
+        async set(key, data, meta) {
+            await ready;
+
+            const filePath = entryPath(key);
+            const contents = encodeEntry({ key, meta }, data);
+            if (contents.length > maxBytes) {
+                return;
+            }
+
+            forget(key);
+            await evict(contents.length);
+
+            const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+            try {
+                await fs.promises.writeFile(tmpPath, contents);
+                await fs.promises.rename(tmpPath, filePath);
+            } catch (error) {
+                stats.writeErrors++;
+                logger.logError(error, { context: 'Writing disk cache entry', filePath });
+                await fs.promises.unlink(tmpPath).catch(() => {});
+                return;
+            }
+
+            index.set(key, { filePath, size: contents.length, meta });
+            totalSize += contents.length;
+        },
+
+        /**
+         * Get cache statistics
+         * @returns {Object} Size, entry count and counters
+         */
+        getStats() {
+            return {
+                size: totalSize,
+                entries: index.size,
+                maxSize: maxBytes,
+                ...stats
+            };
+        }
+    };
+}
+
+module.exports = {
+    createDiskCache
+};
@@ -0,0 +1,198 @@
+/**
+ * Stream Events Module
+ * Publish/subscribe channel for live stream status, delivered to players
+ * over Server-Sent Events (GET /api/streams/:streamId/events)
+ *
+ * Events:
+ * - viewers: { viewerCount } (coalesced per stream)
+ * - updated: { expiresAt, maxViewers, isActive }
+ * - stopped: { stoppedAt }
+ * - expired: { expiresAt }
+ * - message: { text, level } (operator broadcast)
+ *
+ * Events are delivered in-process. With STORE_DRIVER=redis they are also
+ * published on a Redis channel that every instance subscribes to, so a viewer
+ * receives events raised on any instance, not only the one its connection
+ * landed on. Subscriber counts stay per instance.
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+const emitter = new EventEmitter();
+// One listener per connected viewer
+emitter.setMaxListeners(0);
+
+const CLOSE = Symbol('close');
+const VIEWER_COUNT_DELAY_MS = 1000;
+
+// streamId -> { timer, viewerCount }
+const pendingViewerCounts = new Map();
+
+/**
+ * Redis transport - relays events between instances over pub/sub
+ * A subscribed connection cannot issue other commands, so publishing and
+ * subscribing use separate connections.
+ * @param {Object} options
+ * @param {string} [options.url] - Redis connection URL
+ * @param {string} [options.channel] - Pub/sub channel
+ * @param {Object} [options.publisher] - Pre-built publishing client (ioredis-compatible)
+ * @param {Object} [options.subscriber] - Pre-built subscribing client (ioredis-compatible)
+ * @returns {Object} Transport
+ */
+function createRedisEventTransport(options) {
+    let { publisher, subscriber } = options;
+    if (!publisher || !subscriber) {
+        const Redis = require('ioredis');
+        publisher = new Redis(options.url);
+        subscriber = new Redis(options.url);
+        for (const client of [publisher, subscriber]) {
+            client.on('error', (error) => {
+                logger.logError(error, { context: 'Redis event connection' });
+            });
+        }
+    }
+    const channel = options.channel || 'lsp:stream-events';
+
+    subscriber.on('message', (messageChannel, message) => {
+        if (messageChannel !== channel) {
+            return;
+        }
+        try {
+            const { streamId, event, data } = JSON.parse(message);
+            emitter.emit(streamId, event, data);
+        } catch (error) {
+            logger.logError(error, { context: 'Receiving stream event' });
+        }
+    });
+    subscriber.subscribe(channel).catch((error) => {
+        logger.logError(error, { context: 'Subscribing to stream events', channel });
+    });
+
+    return {
+        async publish(streamId, event, data) {
+            await publisher.publish(channel, JSON.stringify({ streamId, event, data }));
+        },
+
+        async close() {
+            await Promise.all([publisher.quit(), subscriber.quit()]);
+        }
+    };
+}
+
+// Relay to other instances when they share a Redis store
+let transport = process.env.STORE_DRIVER === 'redis'
+    ? createRedisEventTransport({
+        url: process.env.REDIS_URL,
+        channel: `${process.env.STORE_KEY_PREFIX || 'lsp:'}stream-events`
+    })
+    : null;
+
+/**
+ * Replace the event transport (e.g. with a local stand-in during tests)
+ * @param {Object|null} newTransport - Transport created by createRedisEventTransport, or null for in-process only
+ */
+function useEventTransport(newTransport) {
+    transport = newTransport;
+}
+
+/**
+ * Publish an event to every subscriber of a stream
+ * With a transport, local subscribers receive the event when it comes back
+ * on the channel, like every other instance's.
+ * @param {string} streamId - Stream identifier
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function publishStreamEvent(streamId, event, data) {
+    if (!transport) {
+        emitter.emit(streamId, event, data);
+        return;
+    }
+
+    transport.publish(streamId, event, data).catch((error) => {
+        logger.logError(error, { context: 'Publishing stream event', streamId, event });
+        // Still reach the viewers connected here
+        emitter.emit(streamId, event, data);
+    });
+}
+
+/**
+ * Publish a stream's viewer count
+ * Joins and leaves arrive in bursts, so only the latest count within
+ * VIEWER_COUNT_DELAY_MS is sent.
+ * @param {string} streamId - Stream identifier
+ * @param {number} viewerCount - Current viewer count
+ */
+function publishViewerCount(streamId, viewerCount) {
+    const pending = pendingViewerCounts.get(streamId);
+    if (pending) {
+        pending.viewerCount = viewerCount;
+        return;
+    }
+
+    const entry = { viewerCount, timer: null };
+    entry.timer = setTimeout(() => {
+        pendingViewerCounts.delete(streamId);
+        publishStreamEvent(streamId, 'viewers', { viewerCount: entry.viewerCount });
+    }, VIEWER_COUNT_DELAY_MS);
+    pendingViewerCounts.set(streamId, entry);
+}
+
+/**
+ * Subscribe to a stream's events
+ * @param {string} streamId - Stream identifier
+ * @param {Function} listener - Called with (event, data)
+ * @param {Function} [onClose] - Called when the server shuts down
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeStreamEvents(streamId, listener, onClose) {
+    emitter.on(streamId, listener);
+    if (onClose) {
+        emitter.on(CLOSE, onClose);
+    }
+
+    return () => {
+        emitter.removeListener(streamId, listener);
+        if (onClose) {
+            emitter.removeListener(CLOSE, onClose);
+        }
+    };
+}
+
+/**
+ * Count connected subscribers of a stream
+ * @param {string} streamId - Stream identifier
+ * @returns {number} Subscriber count
+ */
+function countSubscribers(streamId) {
+    return emitter.listenerCount(streamId);
+}
+
+/**
+ * End every open subscription and release the transport (graceful shutdown)
+ */
+function closeStreamEvents() {
+    for (const { timer } of pendingViewerCounts.values()) {
+        clearTimeout(timer);
+    }
+    pendingViewerCounts.clear();
+    emitter.emit(CLOSE);
+
+    if (transport) {
+        transport.close().catch((error) => {
+            logger.logError(error, { context: 'Closing event transport' });
+        });
+        transport = null;
+    }
+}
+
+module.exports = {
+    createRedisEventTransport,
+    useEventTransport,
+    publishStreamEvent,
+    publishViewerCount,
+    subscribeStreamEvents,
+    countSubscribers,
+    closeStreamEvents
+};
@@ -0,0 +1,172 @@
+/**
+ * GeoIP
+ * Offline IP-to-country lookup from a CSV database, for per-stream country
+ * rules. No network access and no external service: the file is read once
+ * at startup.
+ *
+ * Two row formats are accepted (header and comment lines are skipped):
+ * - "start_ip,end_ip,country" ranges, as in the DB-IP "IP to Country Lite" CSV
+ * - "network/prefix,country" CIDR blocks
+ * Countries are ISO 3166-1 alpha-2 codes; other values (e.g. "ZZ" for
+ * unassigned ranges) are kept as-is and simply match no rule.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const logger = require('./logger');
+
+/**
+ * Convert an IP address to a number
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {Object|null} { family: 4|6, value: BigInt }, or null for invalid addresses
+ */
+function addressToBigInt(address) {
+    const text = String(address).replace(/%.*$/, '');
+    const family = net.isIP(text);
+
+    if (family === 4) {
+        return { family, value: text.split('.').reduce((value, part) => (value << 8n) + BigInt(part), 0n) };
+    }
+    if (family !== 6) {
+        return null;
+    }
+
+    // An embedded IPv4 address (::ffff:192.0.2.1) is the last two groups
+    let groupsText = text;
+    const embedded = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+    if (embedded) {
+        const { value } = addressToBigInt(embedded[1]);
+        groupsText = `${text.slice(0, -embedded[1].length)}${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+    }
+
+    const [head, tail] = groupsText.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+    return { family, value: groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n) };
+}
+
+/**
+ * Parse one database row into a range
+ * @param {string[]} columns - CSV columns
+ * @returns {Object|null} { family, start, end, country }, or null for rows that are not ranges
+ */
+function parseRow(columns) {
+    let start;
+    let end;
+    let country;
+
+    if (columns[0].includes('/')) {
+        const [network, prefixText] = columns[0].split('/');
+        const address = addressToBigInt(network);
+        const bits = address && address.family === 6 ? 128 : 32;
+        const prefix = parseInt(prefixText, 10);
+        if (!address || !(prefix >= 0 && prefix <= bits)) {
+            return null;
+        }
+        const hostMask = (1n << BigInt(bits - prefix)) - 1n;
+        start = { family: address.family, value: address.value & ~hostMask };
+        end = { family: address.family, value: start.value | hostMask };
+        country = columns[1];
+    } else {
+        start = addressToBigInt(columns[0]);
+        end = addressToBigInt(columns[1]);
+        country = columns[2];
+    }
+
+    if (!start || !end || start.family !== end.family || !country) {
+        return null;
+    }
+    return { family: start.family, start: start.value, end: end.value, country: country.toUpperCase() };
+}
+
+/**
+ * Load a GeoIP CSV database
+ * @param {string} filePath - Database file path
+ * @returns {Object} Database with lookup(address)
+ * @throws {Error} When the file cannot be read or holds no ranges
+ */
+function loadGeoDatabase(filePath) {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read GeoIP database ${filePath}: ${error.code || error.message}`);
+    }
+
+    // Sorted range starts/ends per family; IPv4 as numbers, IPv6 as BigInts
+    const tables = {
+        4: { starts: [], ends: [], countries: [] },
+        6: { starts: [], ends: [], countries: [] }
+    };
+
+    const rows = [];
+    for (const line of content.split('\n')) {
+        const columns = line.split(',').map(column => column.trim().replace(/^"|"$/g, ''));
+        if (columns.length < 2 || line.startsWith('#')) {
+            continue;
+        }
+        const row = parseRow(columns);
+        if (row) {
+            rows.push(row);
+        }
+    }
+    content = null;
+
+    if (rows.length === 0) {
+        throw new Error(`GeoIP database ${filePath} has no IP ranges`);
+    }
+
+    rows.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    for (const row of rows) {
+        const table = tables[row.family];
+        table.starts.push(row.family === 4 ? Number(row.start) : row.start);
+        table.ends.push(row.family === 4 ? Number(row.end) : row.end);
+        table.countries.push(row.country);
+    }
+
+    logger.info('GeoIP database loaded', {
+        file: filePath,
+        ipv4Ranges: tables[4].starts.length,
+        ipv6Ranges: tables[6].starts.length
+    });
+
+    /**
+     * Look up the country of an IP address
+     * @param {string} address - IPv4 or IPv6 address
+     * @returns {string|null} Country code, or null when the address is not in the database
+     */
+    function lookup(address) {
+        const parsed = addressToBigInt(address);
+        if (!parsed) {
+            return null;
+        }
+        const table = tables[parsed.family];
+        const value = parsed.family === 4 ? Number(parsed.value) : parsed.value;
+
+        // Last range starting at or before the address
+        let low = 0;
+        let high = table.starts.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (table.starts[middle] <= value) {
+                found = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+
+        return found >= 0 && value <= table.ends[found] ? table.countries[found] : null;
+    }
+
+    return { lookup };
+}
+
+module.exports = {
+    loadGeoDatabase
+};
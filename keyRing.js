@@ -0,0 +1,343 @@
+/**
+ * Key Ring
+ * Secrets for signing viewer tokens (JWT) and for encrypting URLs, each with
+ * a key ID (kid) so tokens and ciphertexts name the key they were made with.
+ *
+ * Each ring is an ordered list: the first key signs (or encrypts), the
+ * others only verify (or decrypt). Sources, the first one set wins:
+ * - Signing: JWT_SIGNING_KEYS ("kid:secret,kid:@/path/to/key.pem"),
+ *   JWT_SECRET, token.json keys.signing ([{ kid, secret }] or
+ *   [{ kid, privateKeyFile }]), token.json jwt.secret
+ * - Encryption: URL_ENCRYPTION_KEYS, URL_ENCRYPTION_SECRET,
+ *   token.json keys.encryption; otherwise a key derived from each signing
+ *   key, so signing and encryption never share key material
+ * A single secret gets a kid derived from it.
+ *
+ * Signing keys are HMAC secrets (HS256) or PEM private keys: RSA (RS256) or
+ * Ed25519 (EdDSA). The public half of asymmetric keys is published as a
+ * JWKS, so other services can verify viewer tokens without a shared secret.
+ *
+ * Rotation: put the new key first and keep the old one after it until
+ * everything it produced has expired (viewer tokens live as long as their
+ * stream), then remove it.
+ *
+ * In production, a published default secret, one shorter than 32
+ * characters or an RSA key under 2048 bits is refused at startup, whether
+ * it is the active key or a retired one.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('./logger');
+
+// Development default when no secret is configured
+const DEFAULT_SECRET = 'fallback-secret-min-32-characters-long';
+const MIN_SECRET_LENGTH = 32;
+const MIN_RSA_BITS = 2048;
+
+// JWS algorithm per private key type
+const ASYMMETRIC_ALGORITHMS = {
+    rsa: 'RS256',
+    ed25519: 'EdDSA'
+};
+
+// SHA-256 of secrets published with the project: the built-in default, the
+// .env.example placeholder and the token.json shipped in the repository
+const PUBLISHED_SECRETS = new Set([
+    'd0786e034e2ba463edf50f5fb5950bdb3958e7b9615a5952c9d39189c78faeda',
+    '0351f04713511e6706be57813056fa56ec9858f2c7ab0a7375217f07ef57cb5e',
+    '9f35f2ac4615b485612fb2946e785ccb4d890f564a21ea645195f4d93ba37c72'
+]);
+
+// Key IDs appear in JWT headers and URL prefixes
+const KID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Create a key for a secret, with a kid derived from the secret
+ * @param {string} secret - Secret
+ * @returns {Object} { kid, secret }
+ */
+function keyFromSecret(secret) {
+    const kid = crypto.createHash('sha256').update(`kid:${secret}`).digest('base64url').slice(0, 8);
+    return { kid, algorithm: 'HS256', secret };
+}
+
+/**
+ * Create a key for a PEM private key
+ * @param {string} kid - Key ID
+ * @param {string} pem - PEM private key
+ * @param {string} source - Where the key was configured, for error messages
+ * @returns {Object} { kid, algorithm, privateKey, publicKey }
+ * @throws {Error} When the key cannot be read or its type is not supported
+ */
+function keyFromPem(kid, pem, source) {
+    let privateKey;
+    try {
+        privateKey = crypto.createPrivateKey(pem);
+    } catch {
+        throw new Error(`Invalid private key ${kid} in ${source}`);
+    }
+
+    const algorithm = ASYMMETRIC_ALGORITHMS[privateKey.asymmetricKeyType];
+    if (!algorithm) {
+        throw new Error(`Unsupported key type ${privateKey.asymmetricKeyType} for ${kid} in ${source}: use RSA or Ed25519`);
+    }
+
+    return { kid, algorithm, privateKey, publicKey: crypto.createPublicKey(privateKey) };
+}
+
+/**
+ * Read a PEM private key file
+ * @param {string} kid - Key ID
+ * @param {string} filePath - Key file path
+ * @param {string} source - Where the key was configured, for error messages
+ * @returns {Object} { kid, algorithm, privateKey, publicKey }
+ */
+function keyFromFile(kid, filePath, source) {
+    let pem;
+    try {
+        pem = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read private key ${kid} from ${filePath} (${source}): ${error.code || error.message}`);
+    }
+    return keyFromPem(kid, pem, source);
+}
+
+/**
+ * Parse a key list from the environment
+ * @param {string} value - Comma-separated "kid:secret" entries
+ * @param {string} name - Variable name, for error messages
+ * @param {boolean} [keyFiles] - Read "kid:@path" entries as PEM private key files
+ * @returns {Object[]} Keys
+ * @throws {Error} When an entry is malformed
+ */
+function parseKeyList(value, name, keyFiles = false) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+            throw new Error(`Invalid key in ${name}: expected "kid:secret"`);
+        }
+        const kid = entry.slice(0, separator);
+        const secret = entry.slice(separator + 1);
+        if (keyFiles && secret.startsWith('@')) {
+            return keyFromFile(checkKid(kid, name), secret.slice(1), name);
+        }
+        return checkKey({ kid, secret }, name);
+    });
+}
+
+/**
+ * Check a key ID
+ * @param {string} kid - Key ID
+ * @param {string} source - Where the key was configured, for error messages
+ * @returns {string} The key ID
+ * @throws {Error} When the kid is missing or invalid
+ */
+function checkKid(kid, source) {
+    if (!KID_PATTERN.test(kid || '')) {
+        throw new Error(`Invalid key ID in ${source}: use 1-32 letters, digits, - or _`);
+    }
+    return kid;
+}
+
+/**
+ * Check a configured key
+ * @param {Object} key - { kid, secret }, or for signing keys { kid, privateKeyFile } / { kid, privateKey }
+ * @param {string} source - Where the key was configured, for error messages
+ * @param {boolean} [keyFiles] - Accept private keys
+ * @returns {Object} The key
+ * @throws {Error} When the kid or secret is missing or invalid
+ */
+function checkKey(key, source, keyFiles = false) {
+    const kid = checkKid(key && key.kid, source);
+    if (keyFiles && key.privateKeyFile) {
+        return keyFromFile(kid, key.privateKeyFile, source);
+    }
+    if (keyFiles && key.privateKey) {
+        return keyFromPem(kid, key.privateKey, source);
+    }
+    if (typeof key.secret !== 'string' || !key.secret) {
+        throw new Error(`Invalid key ${kid} in ${source}: expected a secret`);
+    }
+    return { kid, algorithm: 'HS256', secret: key.secret };
+}
+
+/**
+ * Describe why a key must not be used in production
+ * @param {Object} key - Key
+ * @returns {string|null} Problem, or null when the key is acceptable
+ */
+function getKeyProblem(key) {
+    if (key.privateKey) {
+        const { modulusLength } = key.privateKey.asymmetricKeyDetails;
+        return key.algorithm === 'RS256' && modulusLength < MIN_RSA_BITS
+            ? `is an RSA key under ${MIN_RSA_BITS} bits`
+            : null;
+    }
+
+    if (PUBLISHED_SECRETS.has(crypto.createHash('sha256').update(key.secret).digest('hex'))) {
+        return 'is a published default';
+    }
+    return key.secret.length < MIN_SECRET_LENGTH ? `is shorter than ${MIN_SECRET_LENGTH} characters` : null;
+}
+
+/**
+ * Pick the first configured key source
+ * @param {Array<Array>} sources - [source name, keys or null] in order of precedence
+ * @returns {Object} { source, keys } or null when none is set
+ */
+function firstSource(sources) {
+    for (const [source, keys] of sources) {
+        if (keys && keys.length > 0) {
+            const kids = new Set(keys.map(key => key.kid));
+            if (kids.size !== keys.length) {
+                throw new Error(`Duplicate key ID in ${source}`);
+            }
+            return { source, keys };
+        }
+    }
+    return null;
+}
+
+/**
+ * Create the key ring
+ * @param {Object} options
+ * @param {string} [options.signingKeys] - "kid:secret" / "kid:@key.pem" list (JWT_SIGNING_KEYS)
+ * @param {string} [options.signingSecret] - Single signing secret (JWT_SECRET)
+ * @param {string} [options.encryptionKeys] - "kid:secret" list (URL_ENCRYPTION_KEYS)
+ * @param {string} [options.encryptionSecret] - Single encryption secret (URL_ENCRYPTION_SECRET)
+ * @param {Object} [options.file] - Token configuration file contents (token.json)
+ * @param {boolean} [options.production] - Refuse default and short secrets
+ * @returns {Object} Key ring
+ * @throws {Error} When a key is malformed, or in production when any key in either ring is not acceptable
+ */
+function createKeyRing(options = {}) {
+    const file = options.file || {};
+    const fileKeys = file.keys || {};
+    const fileList = (list, source, keyFiles) => Array.isArray(list) ? list.map(key => checkKey(key, source, keyFiles)) : null;
+
+    const signing = firstSource([
+        ['JWT_SIGNING_KEYS', options.signingKeys ? parseKeyList(options.signingKeys, 'JWT_SIGNING_KEYS', true) : null],
+        ['JWT_SECRET', options.signingSecret ? [keyFromSecret(options.signingSecret)] : null],
+        ['token.json keys.signing', fileList(fileKeys.signing, 'token.json keys.signing', true)],
+        ['token.json jwt.secret', file.jwt && file.jwt.secret ? [keyFromSecret(file.jwt.secret)] : null]
+    ]) || { source: 'built-in default', keys: [keyFromSecret(DEFAULT_SECRET)] };
+
+    const encryption = firstSource([
+        ['URL_ENCRYPTION_KEYS', options.encryptionKeys ? parseKeyList(options.encryptionKeys, 'URL_ENCRYPTION_KEYS') : null],
+        ['URL_ENCRYPTION_SECRET', options.encryptionSecret ? [keyFromSecret(options.encryptionSecret)] : null],
+        ['token.json keys.encryption', fileList(fileKeys.encryption, 'token.json keys.encryption')]
+    ]) || {
+        source: `derived from ${signing.source}`,
+        keys: signing.keys.map(({ kid, secret, privateKey }) => ({
+            kid,
+            secret: Buffer.from(crypto.hkdfSync(
+                'sha256',
+                privateKey ? privateKey.export({ format: 'der', type: 'pkcs8' }) : secret,
+                '',
+                'url-encryption-secret',
+                32
+            )).toString('hex')
+        }))
+    };
+
+    for (const [name, ring, settings] of [
+        ['signing', signing, 'JWT_SECRET or JWT_SIGNING_KEYS'],
+        ['encryption', encryption, 'URL_ENCRYPTION_SECRET or URL_ENCRYPTION_KEYS']
+    ]) {
+        // Retired keys still verify (or decrypt), so they are held to the same standard
+        ring.keys.forEach((key, index) => {
+            const problem = getKeyProblem(key);
+            if (!problem) return;
+
+            const message = `The ${index === 0 ? 'active' : 'retired'} ${name} key ${key.kid} (${ring.source}) ${problem}`;
+            if (options.production) {
+                throw new Error(`${message}; refusing to start in production. Set ${settings}`);
+            }
+            logger.warn(`${message}; do not use it in production`);
+        });
+    }
+
+    logger.info('Key ring loaded', {
+        signingKeys: signing.keys.map(key => `${key.kid} (${key.algorithm})`),
+        signingSource: signing.source,
+        encryptionKeys: encryption.keys.map(key => key.kid),
+        encryptionSource: encryption.source
+    });
+
+    const find = (ring, kid) => ring.keys.find(key => key.kid === kid) || null;
+
+    return {
+        /**
+         * Get the key new tokens are signed with
+         * @returns {Object} { kid, algorithm, secret } or { kid, algorithm, privateKey, publicKey }
+         */
+        getSigningKey() {
+            return signing.keys[0];
+        },
+
+        /**
+         * Find a key tokens are verified with
+         * @param {string} kid - Key ID
+         * @returns {Object|null} Signing key
+         */
+        findSigningKey(kid) {
+            return find(signing, kid);
+        },
+
+        /**
+         * List the keys tokens are verified with, the signing key first
+         * @returns {Object[]} Signing keys
+         */
+        listSigningKeys() {
+            return [...signing.keys];
+        },
+
+        /**
+         * Get the public signing keys as a JSON Web Key Set
+         * HMAC keys are secret and never listed.
+         * @returns {Object} { keys: [JWK] }
+         */
+        getJwks() {
+            return {
+                keys: signing.keys
+                    .filter(key => key.publicKey)
+                    .map(key => ({
+                        ...key.publicKey.export({ format: 'jwk' }),
+                        kid: key.kid,
+                        alg: key.algorithm,
+                        use: 'sig'
+                    }))
+            };
+        },
+
+        /**
+         * Get the key new ciphertexts are encrypted with
+         * @returns {Object} { kid, secret }
+         */
+        getEncryptionKey() {
+            return encryption.keys[0];
+        },
+
+        /**
+         * Find a key ciphertexts are decrypted with
+         * @param {string} kid - Key ID
+         * @returns {Object|null} { kid, secret }
+         */
+        findEncryptionKey(kid) {
+            return find(encryption, kid);
+        },
+
+        /**
+         * List the keys ciphertexts are decrypted with, the encryption key first
+         * @returns {Object[]} Keys ({ kid, secret })
+         */
+        listEncryptionKeys() {
+            return [...encryption.keys];
+        }
+    };
+}
+
+module.exports = {
+    createKeyRing
+};
@@ -36,6 +36,8 @@ const consoleFormat = winston.format.combine(
 // Create Winston logger instance
 const logger = winston.createLogger({
     level: process.env.LOG_LEVEL || 'info',
+    // Quiet under the test runner (jest sets NODE_ENV=test) unless a level is asked for
+    silent: process.env.NODE_ENV === 'test' && !process.env.LOG_LEVEL,
     defaultMeta: {
         service: 'live-streaming-platform',
         environment: process.env.NODE_ENV || 'development'
@@ -75,8 +77,9 @@ logger.stream = {
 };
 
 // Helper methods for structured logging
-logger.logStreamEvent = (event, data) => {
-    logger.info(`Stream Event: ${event}`, {
+// (per-request stream events pass level 'debug' to stay out of the info log)
+logger.logStreamEvent = (event, data, level = 'info') => {
+    logger.log(level, `Stream Event: ${event}`, {
         type: 'stream',
         event,
         ...data
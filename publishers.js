@@ -0,0 +1,177 @@
+/**
+ * Publisher Accounts Module
+ * Publisher identities, stream ownership and per-publisher quotas
+ *
+ * Every stream generated with a publisher API key records the publisher as
+ * `createdBy`. Quotas bound how many streams a publisher may have live at
+ * once and how many viewers those streams may serve in total.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { getStore, countPublisherStreams, countPublisherViewers, tokenConfig } = require('./auth');
+const logger = require('./logger');
+
+const PUBLISHERS = 'publishers';
+
+// Defaults applied when a publisher has no explicit quota
+const DEFAULT_QUOTAS = {
+    maxActiveStreams: 10,
+    maxTotalViewers: 5000,
+    ...(tokenConfig.publisher || {})
+};
+
+/**
+ * Create an error carrying the HTTP status the caller should respond with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function quotaError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Normalize quota input, keeping only known positive integer limits
+ * @param {Object} [quotas] - Quota overrides
+ * @returns {Object} Quotas
+ */
+function normalizeQuotas(quotas = {}) {
+    const normalized = {};
+    for (const name of Object.keys(DEFAULT_QUOTAS)) {
+        const value = parseInt(quotas[name]);
+        if (value > 0) {
+            normalized[name] = value;
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Create a publisher account
+ * @param {Object} options
+ * @param {string} options.name - Publisher name
+ * @param {Object} [options.quotas] - { maxActiveStreams, maxTotalViewers }
+ * @returns {Promise<Object>} Publisher record
+ */
+async function createPublisher({ name, quotas }) {
+    const publisher = {
+        id: uuidv4(),
+        name,
+        quotas: normalizeQuotas(quotas),
+        createdAt: new Date()
+    };
+
+    await getStore().set(PUBLISHERS, publisher.id, publisher);
+
+    logger.logStreamEvent('publisher_created', { publisherId: publisher.id });
+
+    return publisher;
+}
+
+/**
+ * Get a publisher account
+ * @param {string} publisherId - Publisher ID
+ * @returns {Promise<Object|null>} Publisher record
+ */
+async function getPublisher(publisherId) {
+    return getStore().get(PUBLISHERS, publisherId);
+}
+
+/**
+ * List publisher accounts
+ * @returns {Promise<Array>} Publisher records
+ */
+async function listPublishers() {
+    return getStore().list(PUBLISHERS);
+}
+
+/**
+ * Update a publisher's quotas
+ * @param {string} publisherId - Publisher ID
+ * @param {Object} quotas - Quota overrides to merge
+ * @returns {Promise<Object|null>} Updated publisher record
+ */
+async function updatePublisherQuotas(publisherId, quotas) {
+    const publisher = await getPublisher(publisherId);
+    if (!publisher) {
+        return null;
+    }
+
+    publisher.quotas = { ...publisher.quotas, ...normalizeQuotas(quotas) };
+    await getStore().set(PUBLISHERS, publisherId, publisher);
+
+    logger.logStreamEvent('publisher_quotas_updated', { publisherId, quotas: publisher.quotas });
+
+    return publisher;
+}
+
+/**
+ * Get a publisher's effective quotas
+ * @param {Object} publisher - Publisher record
+ * @returns {Object} Quotas with defaults applied
+ */
+function getQuotas(publisher) {
+    return { ...DEFAULT_QUOTAS, ...(publisher.quotas || {}) };
+}
+
+/**
+ * Compute a publisher's current usage
+ * Both come from per-publisher indexes kept by auth.js: the active stream
+ * counter and the session index.
+ * @param {string} publisherId - Publisher ID
+ * @returns {Promise<Object>} { activeStreams, totalViewers }
+ */
+async function getPublisherUsage(publisherId) {
+    return {
+        activeStreams: await countPublisherStreams(publisherId),
+        totalViewers: await countPublisherViewers(publisherId)
+    };
+}
+
+/**
+ * Get the active stream quota a publisher's new or resumed stream is bound by
+ * Passed to generateToken() and updateStream(), which check it against the
+ * publisher's active stream counter atomically with claiming a slot.
+ * @param {string} publisherId - Publisher ID
+ * @returns {Promise<number>} Publisher's maxActiveStreams
+ * @throws {Error} 403 when the publisher does not exist
+ */
+async function getStreamQuota(publisherId) {
+    const publisher = await getPublisher(publisherId);
+    if (!publisher) {
+        throw quotaError('Publisher not found', 403);
+    }
+
+    return getQuotas(publisher).maxActiveStreams;
+}
+
+/**
+ * Get the viewer quota a join to a stream is bound by
+ * Passed to registerViewer(), which checks it against the publisher's
+ * session index atomically with registering the session. Streams without a
+ * publisher are only bound by their own maxViewers.
+ * @param {Object} streamData - Stream record
+ * @returns {Promise<number|null>} Publisher's maxTotalViewers, or null when none applies
+ */
+async function getViewerQuota(streamData) {
+    if (!streamData.createdBy) {
+        return null;
+    }
+
+    const publisher = await getPublisher(streamData.createdBy);
+    return publisher ? getQuotas(publisher).maxTotalViewers : null;
+}
+
+module.exports = {
+    DEFAULT_QUOTAS,
+    createPublisher,
+    getPublisher,
+    listPublishers,
+    updatePublisherQuotas,
+    getQuotas,
+    getPublisherUsage,
+    getStreamQuota,
+    getViewerQuota
+};
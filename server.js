@@ -21,22 +21,71 @@ const fs = require('fs');
 const logger = require('./logger');
 const {
     generateToken,
+    issueViewerToken,
+    listStreamTokens,
+    revokeToken,
+    refreshToken,
     validateToken,
     decryptUrl,
     registerViewer,
+    heartbeat,
     removeViewer,
+    countViewers,
+    getViewerCounts,
+    getHeartbeatIntervalSeconds,
     stopStream,
+    extendStream,
+    updateStream,
     getStreamStats,
-    activeStreams
+    getStream,
+    listStreams,
+    countStreams,
+    getStore,
+    keyRing,
+    tokenConfig
 } = require('./auth');
-const { proxyManifest, proxySegment, proxyKey, getHealthStatus } = require('./streamProxy');
+const { proxyManifest, proxySegment, proxyPart, proxyKey, forgetStream, getHealthStatus, maskHeaders } = require('./streamProxy');
+const { checkUpstreamUrl } = require('./upstreamClient');
+const { normalizeAccessRules, getViewerContext } = require('./accessRules');
+const { publishStreamEvent, subscribeStreamEvents, countSubscribers, closeStreamEvents } = require('./events');
 const { checkFFmpegInstallation, checkStreamHealth } = require('./ffmpeg');
+const {
+    ROLES,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    checkBootstrapApiKey,
+    bootstrapApiKeys,
+    requireRole,
+    optionalRole,
+    canAccessStream
+} = require('./adminAuth');
+const {
+    createPublisher,
+    getPublisher,
+    listPublishers,
+    updatePublisherQuotas,
+    getQuotas,
+    getPublisherUsage,
+    getStreamQuota,
+    getViewerQuota
+} = require('./publishers');
+
+// Refuse a placeholder or short operator key before accepting requests
+checkBootstrapApiKey();
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
+// Behind a load balancer or CDN, take client addresses (req.ip) from
+// X-Forwarded-For: a hop count, "true", or trusted proxy addresses/subnets
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -50,14 +99,18 @@ app.use(helmet({
             fontSrc: ["'self'", "data:", "https:"]
         }
     },
-    crossOriginEmbedderPolicy: false // Allow embedding
+    crossOriginEmbedderPolicy: false, // Allow embedding
+    // The player's own requests carry a Referer for per-stream referrer rules;
+    // nothing (tokens included) is sent to other origins
+    referrerPolicy: { policy: 'same-origin' }
 }));
 
 // CORS configuration
 app.use(cors({
     origin: process.env.CORS_ORIGIN || '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since'],
+    exposedHeaders: ['Content-Range', 'Content-Length', 'Accept-Ranges', 'ETag', 'Last-Modified', 'X-Cache'],
     credentials: true
 }));
 
@@ -83,12 +136,30 @@ const apiLimiter = rateLimit({
         retryAfter: '15 minutes'
     },
     standardHeaders: true,
+    legacyHeaders: false,
+    // Viewer presence has its own per-session limit: every viewer behind one
+    // address (e.g. a NAT) sends heartbeats, which would exhaust a per-IP budget
+    skip: (req) => req.path.startsWith('/viewer/')
+});
+
+// Join, heartbeat and leave, per viewer session (joins without one yet, per
+// token); a session heartbeats about three times per reaper timeout
+const presenceLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 30,
+    keyGenerator: (req) => (req.body && (req.body.sessionId || req.body.token)) || req.ip,
+    message: {
+        error: 'Too many presence requests, please slow down'
+    },
+    standardHeaders: true,
     legacyHeaders: false
 });
 
+// Anonymous link generation only; publishers are bounded by their quotas instead
 const generateLimiter = rateLimit({
     windowMs: 5 * 60 * 1000, // 5 minutes
     max: 20, // 20 link generations per 5 minutes
+    skip: (req) => Boolean(req.apiKey),
     message: {
         error: 'Too many link generations, please try again later'
     }
@@ -96,24 +167,94 @@ const generateLimiter = rateLimit({
 
 // Apply rate limiting to API routes
 app.use('/api/', apiLimiter);
-app.use('/api/generate', generateLimiter);
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+/**
+ * Load the target stream and ensure the authenticated API key may manage it
+ * Must run after requireRole(). Publishers get a 404 for streams they do not own.
+ */
+async function requireStreamOwnership(req, res, next) {
+    try {
+        const streamId = req.params.streamId || req.body.streamId;
+
+        if (!streamId) {
+            return res.status(400).json({ error: 'Missing streamId' });
+        }
+
+        const streamData = await getStream(streamId);
+
+        if (!streamData || !canAccessStream(req.apiKey, streamData)) {
+            return res.status(404).json({ error: 'Stream not found' });
+        }
+
+        req.stream = streamData;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
 // ============================================
 // API ROUTES
 // ============================================
 
+// Mirrors accepted per stream in /api/generate
+const MAX_BACKUP_URLS = 5;
+
+// Upstream headers accepted per stream in /api/generate; the proxy manages
+// the connection, framing, ranges and encoding of upstream requests itself
+const MAX_UPSTREAM_HEADERS = 20;
+const MAX_UPSTREAM_HEADER_LENGTH = 4096;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const RESERVED_UPSTREAM_HEADERS = new Set([
+    'host', 'connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'te', 'trailer',
+    'upgrade', 'content-length', 'accept-encoding', 'range', 'if-range', 'if-none-match', 'if-modified-since'
+]);
+
+/**
+ * Check a set of upstream request headers supplied for a stream
+ * @param {*} headers - Candidate header name -> value object
+ * @returns {boolean} True when every header may be sent upstream
+ */
+function isValidUpstreamHeaders(headers) {
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+        return false;
+    }
+
+    const entries = Object.entries(headers);
+    return entries.length <= MAX_UPSTREAM_HEADERS && entries.every(([name, value]) =>
+        HEADER_NAME_PATTERN.test(name) &&
+        !RESERVED_UPSTREAM_HEADERS.has(name.toLowerCase()) &&
+        typeof value === 'string' &&
+        value.length <= MAX_UPSTREAM_HEADER_LENGTH &&
+        !/[\r\n\0]/.test(value)
+    );
+}
+
+/**
+ * Check that a value looks like an HLS manifest URL
+ * @param {*} value - Candidate URL
+ * @returns {boolean} True for an .m3u8 URL
+ */
+function isManifestUrl(value) {
+    return typeof value === 'string' && (value.endsWith('.m3u8') || value.includes('.m3u8?'));
+}
+
 /**
  * @route   POST /api/generate
  * @desc    Generate a temporary live stream link
- * @body    { url: string, expiryMinutes?: number }
+ *          Anonymous (IP rate-limited), or with a publisher API key to record
+ *          ownership and apply the publisher's quotas
+ * @body    { url: string, backupUrls?: string[], upstreamHeaders?: Object, expiryMinutes?: number,
+ *            accessRules?: { allowedCidrs?: string[], allowedReferrers?: string[], allowedCountries?: string[] } }
  * @returns { token, streamId, expiresAt, viewerUrl }
  */
-app.post('/api/generate', async (req, res) => {
+app.post('/api/generate', optionalRole('operator', 'publisher'), generateLimiter, async (req, res) => {
     try {
-        const { url, expiryMinutes } = req.body;
+        const { url, backupUrls, upstreamHeaders, expiryMinutes } = req.body;
+        let accessRules;
 
         // Validate input
         if (!url) {
@@ -124,13 +265,25 @@ app.post('/api/generate', async (req, res) => {
         }
 
         // Validate URL format
-        if (!url.endsWith('.m3u8') && !url.includes('.m3u8?')) {
+        if (!isManifestUrl(url)) {
             return res.status(400).json({
                 error: 'Invalid URL format',
                 message: 'URL must be a valid HLS manifest (.m3u8)'
             });
         }
 
+        // Backup origins are mirrors of the same stream, used when the primary fails
+        if (backupUrls !== undefined && (
+            !Array.isArray(backupUrls) ||
+            backupUrls.length > MAX_BACKUP_URLS ||
+            !backupUrls.every(isManifestUrl)
+        )) {
+            return res.status(400).json({
+                error: 'Invalid backupUrls',
+                message: `backupUrls must be a list of at most ${MAX_BACKUP_URLS} HLS manifest (.m3u8) URLs`
+            });
+        }
+
         // Validate URL is accessible (optional, can be disabled for faster response)
         // const healthCheck = await checkStreamHealth(url);
         // if (!healthCheck.healthy) {
@@ -140,15 +293,59 @@ app.post('/api/generate', async (req, res) => {
         //     });
         // }
 
+        // Refuse origins the upstream policy would block (SSRF protection);
+        // resolved addresses are checked again on every upstream connection
+        for (const upstreamUrl of [url, ...(backupUrls || [])]) {
+            try {
+                checkUpstreamUrl(upstreamUrl);
+            } catch (error) {
+                return res.status(400).json({
+                    error: 'Upstream URL not allowed',
+                    message: error.message
+                });
+            }
+        }
+
+        // Origin credentials (Referer, Cookie, Authorization...) for every upstream request
+        if (upstreamHeaders !== undefined && !isValidUpstreamHeaders(upstreamHeaders)) {
+            return res.status(400).json({
+                error: 'Invalid upstreamHeaders',
+                message: `upstreamHeaders must map at most ${MAX_UPSTREAM_HEADERS} header names to string values; ` +
+                    'connection, range, conditional and encoding headers are managed by the proxy'
+            });
+        }
+
+        // Where the stream may be watched from (networks, embedding sites, countries)
+        try {
+            accessRules = normalizeAccessRules(req.body.accessRules);
+        } catch (error) {
+            return res.status(error.status || 400).json({
+                error: 'Invalid accessRules',
+                message: error.message
+            });
+        }
+
+        const publisherId = req.apiKey ? req.apiKey.publisherId : null;
+        const maxPublisherStreams = publisherId ? await getStreamQuota(publisherId) : null;
+
         // Generate token
-        const result = generateToken({
+        const result = await generateToken({
             originalUrl: url,
-            expiryMinutes: expiryMinutes ? parseInt(expiryMinutes) : undefined
-        });
+            backupUrls,
+            upstreamHeaders,
+            accessRules,
+            expiryMinutes: expiryMinutes ? parseInt(expiryMinutes) : undefined,
+            ownerKeyId: req.apiKey ? req.apiKey.id : undefined,
+            createdBy: publisherId || undefined
+        }, { maxPublisherStreams });
 
         logger.logStreamEvent('link_generated', {
             streamId: result.streamId,
             expiryMinutes: expiryMinutes || 120,
+            backupOrigins: backupUrls ? backupUrls.length : 0,
+            upstreamHeaders: maskHeaders(upstreamHeaders),
+            accessRules,
+            createdBy: publisherId,
             ip: req.ip
         });
 
@@ -164,6 +361,11 @@ app.post('/api/generate', async (req, res) => {
         });
 
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: error.message
+            });
+        }
         logger.logError(error, { context: 'POST /api/generate', ip: req.ip });
         res.status(500).json({
             error: 'Failed to generate stream link',
@@ -175,12 +377,13 @@ app.post('/api/generate', async (req, res) => {
 /**
  * @route   GET /api/validate
  * @desc    Validate a stream token
- * @query   { token: string }
- * @returns { valid, streamData }
+ *          `embedder` is the page the player is embedded in, for referrer rules
+ * @query   { token: string, streamId?: string, embedder?: string }
+ * @returns { valid, streamData, tokenExpiresAt, refreshWindowMinutes, heartbeatIntervalSeconds }
  */
-app.get('/api/validate', (req, res) => {
+app.get('/api/validate', async (req, res) => {
     try {
-        const { token } = req.query;
+        const { token, streamId, embedder } = req.query;
 
         if (!token) {
             return res.status(400).json({
@@ -188,10 +391,10 @@ app.get('/api/validate', (req, res) => {
             });
         }
 
-        const validation = validateToken(token);
+        const validation = await validateToken(token, { streamId, viewer: getViewerContext(req, embedder) });
 
         if (!validation.valid) {
-            return res.status(401).json({
+            return res.status(validation.status).json({
                 valid: false,
                 error: validation.error
             });
@@ -203,8 +406,13 @@ app.get('/api/validate', (req, res) => {
                 streamId: validation.decoded.streamId,
                 expiresAt: validation.streamData.expiresAt,
                 isActive: validation.streamData.isActive,
-                viewerCount: validation.streamData.viewerCount
-            }
+                viewerCount: await countViewers(validation.decoded.streamId)
+            },
+            tokenExpiresAt: new Date(validation.decoded.exp * 1000),
+            // Tokens from a trusted issuer are refreshed by that issuer, not here
+            refreshWindowMinutes: validation.decoded.external ? 0 : tokenConfig.stream.tokenRefreshWindowMinutes,
+            // Three heartbeats per reaper timeout, so one lost beat does not drop the session
+            heartbeatIntervalSeconds: getHeartbeatIntervalSeconds()
         });
 
     } catch (error) {
@@ -215,16 +423,49 @@ app.get('/api/validate', (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/refresh
+ * @desc    Exchange an unexpired token for a new short-lived token
+ * @body    { token: string, sessionId?: string }
+ * @returns { token, expiresAt }
+ */
+app.post('/api/refresh', async (req, res) => {
+    try {
+        const { token, sessionId } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                error: 'Missing token'
+            });
+        }
+
+        const result = await refreshToken(token, { viewer: getViewerContext(req), sessionId });
+
+        res.status(200).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        if (!error.status) {
+            logger.logError(error, { context: 'POST /api/refresh' });
+        }
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to refresh token'
+        });
+    }
+});
+
 /**
  * @route   GET /api/stats/:streamId
  * @desc    Get stream statistics
  * @param   { streamId: string }
  * @returns { stream statistics }
  */
-app.get('/api/stats/:streamId', (req, res) => {
+app.get('/api/stats/:streamId', requireRole(...ROLES), requireStreamOwnership, async (req, res) => {
     try {
         const { streamId } = req.params;
-        const stats = getStreamStats(streamId);
+        const stats = await getStreamStats(streamId);
 
         if (!stats) {
             return res.status(404).json({
@@ -251,7 +492,7 @@ app.get('/api/stats/:streamId', (req, res) => {
  * @body    { streamId: string }
  * @returns { success, message }
  */
-app.post('/api/stop', (req, res) => {
+app.post('/api/stop', requireRole('operator', 'publisher'), requireStreamOwnership, async (req, res) => {
     try {
         const { streamId } = req.body;
 
@@ -261,9 +502,10 @@ app.post('/api/stop', (req, res) => {
             });
         }
 
-        const result = stopStream(streamId);
+        const result = await stopStream(streamId);
 
         if (result.success) {
+            forgetStream(streamId);
             logger.logStreamEvent('stream_stopped_api', { streamId });
             res.status(200).json(result);
         } else {
@@ -278,54 +520,370 @@ app.post('/api/stop', (req, res) => {
     }
 });
 
+/**
+ * @route   PATCH /api/streams/:streamId
+ * @desc    Change a live stream's expiry, viewer limit or active state without reissuing links
+ * @param   { streamId: string }
+ * @body    { expiresAt?: string, expiryMinutes?: number, maxViewers?: number, isActive?: boolean }
+ * @returns { stream statistics }
+ */
+app.patch('/api/streams/:streamId', requireRole('operator', 'publisher'), requireStreamOwnership, async (req, res) => {
+    try {
+        const { expiresAt, expiryMinutes, maxViewers, isActive } = req.body;
+        const changes = {};
+
+        if (expiresAt !== undefined) {
+            changes.expiresAt = new Date(expiresAt);
+        } else if (expiryMinutes !== undefined) {
+            changes.expiresAt = new Date(Date.now() + parseInt(expiryMinutes) * 60 * 1000);
+        }
+
+        if (maxViewers !== undefined) {
+            changes.maxViewers = Number(maxViewers);
+        }
+
+        if (isActive !== undefined) {
+            if (typeof isActive !== 'boolean') {
+                return res.status(400).json({
+                    error: 'isActive must be a boolean'
+                });
+            }
+            changes.isActive = isActive;
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({
+                error: 'No changes provided',
+                message: 'Provide expiresAt, expiryMinutes, maxViewers or isActive'
+            });
+        }
+
+        // Resuming a stream counts against the publisher's active stream quota again
+        const maxPublisherStreams = changes.isActive && req.apiKey.publisherId
+            ? await getStreamQuota(req.apiKey.publisherId)
+            : null;
+
+        const stats = await updateStream(req.params.streamId, changes, { maxPublisherStreams });
+
+        if (!stats) {
+            return res.status(404).json({
+                error: 'Stream not found'
+            });
+        }
+        if (!stats.isActive) {
+            forgetStream(req.params.streamId);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({
+                error: error.message
+            });
+        }
+        logger.logError(error, { context: 'PATCH /api/streams/:streamId' });
+        res.status(500).json({
+            error: 'Failed to update stream'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/streams/:streamId/extend
+ * @desc    Extend a stream's expiry without reissuing links
+ * @param   { streamId: string }
+ * @body    { minutes: number }
+ * @returns { success, expiresAt }
+ */
+app.post('/api/streams/:streamId/extend', requireRole('operator', 'publisher'), requireStreamOwnership, async (req, res) => {
+    try {
+        const minutes = parseInt(req.body.minutes);
+
+        if (!minutes || minutes < 1 || minutes > 24 * 60) {
+            return res.status(400).json({
+                error: 'Invalid minutes',
+                message: 'minutes must be between 1 and 1440'
+            });
+        }
+
+        const result = await extendStream(req.params.streamId, minutes);
+
+        if (result.success) {
+            res.status(200).json(result);
+        } else {
+            res.status(409).json(result);
+        }
+
+    } catch (error) {
+        logger.logError(error, { context: 'POST /api/streams/:streamId/extend' });
+        res.status(500).json({
+            error: 'Failed to extend stream'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/streams/:streamId/messages
+ * @desc    Broadcast a banner message to everyone watching a stream
+ * @param   { streamId: string }
+ * @body    { text: string, level?: 'info' | 'warning' }
+ * @returns { success, recipients } (recipients connected to this instance)
+ */
+app.post('/api/streams/:streamId/messages', requireRole('operator', 'publisher'), requireStreamOwnership, (req, res) => {
+    const { text, level = 'info' } = req.body;
+
+    if (typeof text !== 'string' || !text.trim() || text.length > 500) {
+        return res.status(400).json({
+            error: 'Invalid text',
+            message: 'text must be a non-empty string of at most 500 characters'
+        });
+    }
+
+    if (!['info', 'warning'].includes(level)) {
+        return res.status(400).json({
+            error: 'Invalid level',
+            message: 'level must be info or warning'
+        });
+    }
+
+    const { streamId } = req.params;
+    publishStreamEvent(streamId, 'message', { text: text.trim(), level, sentAt: new Date() });
+
+    logger.logStreamEvent('operator_message', { streamId, keyId: req.apiKey.id, level });
+
+    res.status(200).json({
+        success: true,
+        recipients: countSubscribers(streamId)
+    });
+});
+
+/**
+ * @route   POST /api/streams/:streamId/tokens
+ * @desc    Mint an additional viewer token for an existing stream
+ * @param   { streamId: string }
+ * @body    { label?: string, expiryMinutes?: number, maxUses?: number }
+ * @returns { token, jti, label, expiresAt, maxUses, viewerUrl }
+ */
+app.post('/api/streams/:streamId/tokens', requireRole('operator', 'publisher'), requireStreamOwnership, async (req, res) => {
+    try {
+        const { streamId } = req.params;
+        const { label, expiryMinutes, maxUses } = req.body;
+
+        const result = await issueViewerToken(streamId, {
+            label: label ? String(label).substring(0, 100) : undefined,
+            expiryMinutes: expiryMinutes ? parseInt(expiryMinutes) : undefined,
+            maxUses: maxUses ? parseInt(maxUses) : undefined
+        });
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'Stream not found'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...result,
+                viewerUrl: `${req.protocol}://${req.get('host')}${result.viewerUrl}`
+            }
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'POST /api/streams/:streamId/tokens' });
+        res.status(error.status || 500).json({
+            error: error.status ? error.message : 'Failed to issue token'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/streams/:streamId/tokens
+ * @desc    List the viewer tokens issued for a stream
+ * @param   { streamId: string }
+ * @returns { token records }
+ */
+app.get('/api/streams/:streamId/tokens', requireRole(...ROLES), requireStreamOwnership, async (req, res) => {
+    try {
+        const tokens = await listStreamTokens(req.params.streamId);
+
+        if (!tokens) {
+            return res.status(404).json({
+                error: 'Stream not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            count: tokens.length,
+            data: tokens
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'GET /api/streams/:streamId/tokens' });
+        res.status(500).json({
+            error: 'Failed to list tokens'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/streams/:streamId/tokens/:jti
+ * @desc    Revoke a single viewer token without affecting the others
+ * @param   { streamId: string, jti: string }
+ * @returns { success, message }
+ */
+app.delete('/api/streams/:streamId/tokens/:jti', requireRole('operator', 'publisher'), requireStreamOwnership, async (req, res) => {
+    try {
+        const { streamId, jti } = req.params;
+        const result = await revokeToken(streamId, jti);
+
+        if (result.success) {
+            res.status(200).json(result);
+        } else {
+            res.status(404).json(result);
+        }
+
+    } catch (error) {
+        logger.logError(error, { context: 'DELETE /api/streams/:streamId/tokens/:jti' });
+        res.status(500).json({
+            error: 'Failed to revoke token'
+        });
+    }
+});
+
 // ============================================
 // HLS PROXY ROUTES
 // ============================================
 
+/**
+ * Resolve a proxy request back to its stream session
+ * The player sends the viewer's token as `Authorization: Bearer <token>`, so
+ * proxied URLs stay compact and identical across token refreshes. Players
+ * that cannot set headers (native HLS) pass it as `?token=`, and the URLs
+ * rewritten for them carry it too. For tokens from a trusted issuer, URLs
+ * also carry the stream ID. The joined viewer session (`X-Viewer-Session`, or
+ * `?session=` for native HLS) stands in for the stream's referrer rule, since
+ * these requests come from the player page rather than the embedding site,
+ * and is required for tokens with a usage limit, which is counted at join.
+ * Requests for stopped or expired streams are rejected before anything is
+ * fetched upstream.
+ */
+async function requireStreamAccess(req, res, next) {
+    const { streamId } = req.query;
+    const sessionId = req.get('x-viewer-session') || req.query.session;
+    const authorization = req.get('authorization');
+    const bearer = authorization && authorization.startsWith('Bearer ') ? authorization.substring(7).trim() : null;
+    const token = bearer || req.query.token;
+
+    if (!token) {
+        return res.status(401).json({ error: 'Missing token' });
+    }
+
+    const validation = await validateToken(token, {
+        streamId,
+        viewer: getViewerContext(req),
+        sessionId,
+        requireSession: true
+    });
+
+    if (!validation.valid) {
+        return res.status(validation.status).json({ error: validation.error });
+    }
+
+    req.streamAccess = {
+        token,
+        tokenInUrl: !bearer,
+        sessionId: bearer ? null : sessionId || null,
+        streamId: validation.decoded.streamId,
+        streamData: validation.streamData,
+        external: Boolean(validation.decoded.external)
+    };
+    next();
+}
+
+/**
+ * Build the absolute base URL for proxy routes
+ * @param {Object} req - Express request object
+ * @returns {string} Proxy base URL
+ */
+function getProxyBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}/proxy`;
+}
+
+/**
+ * @route   GET /proxy/stream
+ * @desc    Token-aware playback entry point, proxies the stream's source manifest
+ * @header  Authorization: Bearer <token> (or the token query parameter)
+ * @query   { token?: string, streamId?: string, _HLS_msn?: number, _HLS_part?: number, _HLS_skip?: string }
+ */
+app.get('/proxy/stream', requireStreamAccess, (req, res) => {
+    const { streamData } = req.streamAccess;
+    proxyManifest(streamData.encryptedUrl, res, getProxyBaseUrl(req), req.streamAccess, req.query);
+});
+
 /**
  * @route   GET /proxy/manifest
- * @desc    Proxy HLS manifest (.m3u8)
- * @query   { url: encryptedUrl }
+ * @desc    Proxy HLS manifest (.m3u8), forwarding LL-HLS delivery directives
+ * @query   { url: reference, token?: string, _HLS_msn?: number, _HLS_part?: number, _HLS_skip?: string }
  */
-app.get('/proxy/manifest', (req, res) => {
-    const { url: encryptedUrl } = req.query;
+app.get('/proxy/manifest', requireStreamAccess, (req, res) => {
+    const { url: reference } = req.query;
 
-    if (!encryptedUrl) {
+    if (!reference) {
         return res.status(400).json({ error: 'Missing URL parameter' });
     }
 
-    const baseProxyUrl = `${req.protocol}://${req.get('host')}/proxy`;
-    proxyManifest(encryptedUrl, res, baseProxyUrl);
+    proxyManifest(reference, res, getProxyBaseUrl(req), req.streamAccess, req.query);
 });
 
 /**
  * @route   GET /proxy/segment
- * @desc    Proxy HLS segment (.ts)
- * @query   { url: encryptedUrl }
+ * @desc    Proxy HLS segment (.ts), with Range and conditional (ETag/304) support
+ * @query   { url: reference, token?: string }
+ */
+app.get('/proxy/segment', requireStreamAccess, (req, res) => {
+    const { url: reference } = req.query;
+
+    if (!reference) {
+        return res.status(400).json({ error: 'Missing URL parameter' });
+    }
+
+    proxySegment(reference, res, req.streamAccess, req.headers);
+});
+
+/**
+ * @route   GET /proxy/part
+ * @desc    Proxy LL-HLS partial segment (streamed, never cached)
+ * @query   { url: reference, token?: string }
  */
-app.get('/proxy/segment', (req, res) => {
-    const { url: encryptedUrl } = req.query;
+app.get('/proxy/part', requireStreamAccess, (req, res) => {
+    const { url: reference } = req.query;
 
-    if (!encryptedUrl) {
+    if (!reference) {
         return res.status(400).json({ error: 'Missing URL parameter' });
     }
 
-    proxySegment(encryptedUrl, res);
+    proxyPart(reference, res, req.streamAccess);
 });
 
 /**
  * @route   GET /proxy/key
  * @desc    Proxy encryption key
- * @query   { url: encryptedUrl }
+ * @query   { url: reference, token?: string }
  */
-app.get('/proxy/key', (req, res) => {
-    const { url: encryptedUrl } = req.query;
+app.get('/proxy/key', requireStreamAccess, (req, res) => {
+    const { url: reference } = req.query;
 
-    if (!encryptedUrl) {
+    if (!reference) {
         return res.status(400).json({ error: 'Missing URL parameter' });
     }
 
-    proxyKey(encryptedUrl, res);
+    proxyKey(reference, res, req.streamAccess);
 });
 
 // ============================================
@@ -334,18 +892,33 @@ app.get('/proxy/key', (req, res) => {
 
 /**
  * @route   POST /api/viewer/join
- * @desc    Register a viewer joining the stream
- * @body    { streamId: string, sessionId?: string }
+ * @desc    Register a viewer joining the stream (counts against the token's max uses)
+ *          Referrer rules are checked against `embedder`, the page the player
+ *          is embedded in; later requests presenting the session skip them.
+ * @body    { token: string, streamId?: string, sessionId?: string, embedder?: string }
  */
-app.post('/api/viewer/join', (req, res) => {
+app.post('/api/viewer/join', presenceLimiter, async (req, res) => {
     try {
-        const { streamId, sessionId } = req.body;
+        const { token, streamId, sessionId, embedder } = req.body;
 
-        if (!streamId) {
-            return res.status(400).json({ error: 'Missing streamId' });
+        if (!token) {
+            return res.status(400).json({ error: 'Missing token' });
+        }
+
+        const validation = await validateToken(token, { streamId, viewer: getViewerContext(req, embedder) });
+
+        if (!validation.valid) {
+            return res.status(validation.status).json({ error: validation.error });
+        }
+
+        const { decoded } = validation;
+        if (streamId && streamId !== decoded.streamId) {
+            return res.status(400).json({ error: 'Token does not belong to this stream' });
         }
 
-        const session = registerViewer(streamId, sessionId);
+        const session = await registerViewer(decoded.streamId, sessionId, decoded.jti, {
+            maxPublisherViewers: await getViewerQuota(validation.streamData)
+        });
         
         res.status(200).json({
             success: true,
@@ -354,18 +927,170 @@ app.post('/api/viewer/join', (req, res) => {
 
     } catch (error) {
         logger.logError(error, { context: 'POST /api/viewer/join' });
-        res.status(400).json({
+        res.status(error.status || 400).json({
             error: error.message
         });
     }
 });
 
+/**
+ * @route   POST /api/viewer/heartbeat
+ * @desc    Keep a viewer session alive (sessions idle past the timeout are reaped)
+ * @body    { sessionId: string }
+ * @returns 404 if the session was reaped or never existed; the player re-joins
+ */
+app.post('/api/viewer/heartbeat', presenceLimiter, async (req, res) => {
+    try {
+        const { sessionId } = req.body;
+
+        if (!sessionId) {
+            return res.status(400).json({ error: 'Missing sessionId' });
+        }
+
+        const session = await heartbeat(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.status(200).json({
+            success: true,
+            viewerCount: await countViewers(session.streamId)
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'POST /api/viewer/heartbeat' });
+        res.status(500).json({
+            error: 'Failed to record heartbeat'
+        });
+    }
+});
+
+// Comment line sent on idle event streams so proxies keep them open
+const SSE_KEEPALIVE_MS = 25000;
+// setTimeout() delays are capped at ~24.8 days
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * @route   GET /api/streams/:streamId/events
+ * @desc    Server-Sent Events channel with the stream's live status
+ *          Sends a `status` snapshot, then `viewers`, `updated`, `message`,
+ *          and finally `stopped` or `expired` before closing.
+ * @param   { streamId: string }
+ * @query   { token: string, sessionId?: string }
+ */
+app.get('/api/streams/:streamId/events', async (req, res) => {
+    try {
+        const { token, sessionId } = req.query;
+        const { streamId } = req.params;
+
+        if (!token) {
+            return res.status(401).json({ error: 'Missing token parameter' });
+        }
+
+        const validation = await validateToken(token, {
+            streamId,
+            viewer: getViewerContext(req),
+            sessionId,
+            requireSession: true
+        });
+
+        if (!validation.valid) {
+            return res.status(validation.status).json({ error: validation.error });
+        }
+
+        if (validation.decoded.streamId !== streamId) {
+            return res.status(400).json({ error: 'Token does not belong to this stream' });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        // Set once the viewer disconnects or the stream ends; every step after
+        // an await checks it, so nothing is written or scheduled afterwards
+        let closed = false;
+        let expiresAt = validation.streamData.expiresAt;
+        let expiryTimer = null;
+        let keepAliveTimer = null;
+
+        const send = (event, data) => {
+            if (closed) return;
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const close = () => {
+            if (closed) return;
+            closed = true;
+            clearTimeout(expiryTimer);
+            clearInterval(keepAliveTimer);
+            unsubscribe();
+            res.end();
+        };
+
+        const scheduleExpiry = () => {
+            clearTimeout(expiryTimer);
+            if (closed) return;
+            const delay = Math.max(0, expiresAt.getTime() - Date.now());
+            expiryTimer = setTimeout(() => {
+                if (Date.now() < expiresAt.getTime()) {
+                    return scheduleExpiry();
+                }
+                send('expired', { expiresAt });
+                close();
+            }, Math.min(delay, MAX_TIMER_DELAY_MS));
+        };
+
+        const unsubscribe = subscribeStreamEvents(streamId, (event, data) => {
+            send(event, data);
+            if (event === 'stopped' || (event === 'updated' && !data.isActive)) {
+                close();
+            } else if (event === 'updated') {
+                expiresAt = new Date(data.expiresAt);
+                scheduleExpiry();
+            }
+        }, close);
+
+        keepAliveTimer = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+        req.on('close', close);
+        // The viewer may have gone away while the token was being validated
+        if (req.socket.destroyed) {
+            return close();
+        }
+
+        res.write('retry: 5000\n\n');
+        const viewerCount = await countViewers(streamId);
+        if (closed) {
+            return;
+        }
+        send('status', {
+            viewerCount,
+            expiresAt,
+            isActive: validation.streamData.isActive
+        });
+        scheduleExpiry();
+
+    } catch (error) {
+        logger.logError(error, { context: 'GET /api/streams/:streamId/events' });
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            error: 'Failed to open event stream'
+        });
+    }
+});
+
 /**
  * @route   POST /api/viewer/leave
  * @desc    Register a viewer leaving the stream
  * @body    { sessionId: string }
  */
-app.post('/api/viewer/leave', (req, res) => {
+app.post('/api/viewer/leave', presenceLimiter, async (req, res) => {
     try {
         const { sessionId } = req.body;
 
@@ -373,7 +1098,7 @@ app.post('/api/viewer/leave', (req, res) => {
             return res.status(400).json({ error: 'Missing sessionId' });
         }
 
-        removeViewer(sessionId);
+        await removeViewer(sessionId);
         
         res.status(200).json({
             success: true
@@ -406,32 +1131,262 @@ app.get('/health', async (req, res) => {
         version: require('./package.json').version,
         ffmpeg: ffmpegStatus,
         proxy: proxyHealth,
-        activeStreams: activeStreams.size
+        store: getStore().driver,
+        activeStreams: await countStreams()
     });
 });
 
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys viewer tokens are signed with (RS256/EdDSA), for verifying them offline
+ * @returns { keys: JWK[] } (empty when tokens are signed with HMAC secrets)
+ */
+app.get('/.well-known/jwks.json', (req, res) => {
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.json(keyRing.getJwks());
+});
+
 /**
  * @route   GET /api/streams
- * @desc    List all active streams (admin endpoint)
+ * @desc    List active streams (admin endpoint; publishers only see their own)
  */
-app.get('/api/streams', (req, res) => {
-    const streams = [];
-    for (const [streamId, data] of activeStreams.entries()) {
-        streams.push({
-            streamId,
-            viewerCount: data.viewerCount,
-            maxViewers: data.maxViewers,
-            isActive: data.isActive,
-            createdAt: data.createdAt,
-            expiresAt: data.expiresAt
+app.get('/api/streams', requireRole(...ROLES), async (req, res) => {
+    try {
+        const viewerCounts = await getViewerCounts();
+        const streams = (await listStreams())
+            .filter(data => canAccessStream(req.apiKey, data))
+            .map(data => ({
+                streamId: data.streamId,
+                createdBy: data.createdBy,
+                ownerKeyId: data.ownerKeyId,
+                viewerCount: viewerCounts.get(data.streamId) || 0,
+                maxViewers: data.maxViewers,
+                isActive: data.isActive,
+                createdAt: data.createdAt,
+                expiresAt: data.expiresAt
+            }));
+
+        res.status(200).json({
+            success: true,
+            count: streams.length,
+            data: streams
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'GET /api/streams' });
+        res.status(500).json({
+            error: 'Failed to list streams'
         });
     }
+});
 
-    res.status(200).json({
-        success: true,
-        count: streams.length,
-        data: streams
-    });
+// ============================================
+// ADMIN ROUTES
+// ============================================
+
+/**
+ * @route   POST /api/admin/keys
+ * @desc    Create an API key (the plaintext key is only returned here)
+ * @body    { name?: string, role: 'operator' | 'publisher' | 'readonly', publisherId?: string }
+ * @returns { apiKey, record }
+ */
+app.post('/api/admin/keys', requireRole('operator'), async (req, res) => {
+    try {
+        const { name, role, publisherId } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid role',
+                message: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        if (role === 'publisher' && !(publisherId && await getPublisher(publisherId))) {
+            return res.status(400).json({
+                error: 'Invalid publisherId',
+                message: 'Publisher keys must reference an existing publisher account'
+            });
+        }
+
+        const result = await createApiKey({
+            name: name ? String(name).substring(0, 100) : undefined,
+            role,
+            publisherId
+        });
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'POST /api/admin/keys' });
+        res.status(500).json({
+            error: 'Failed to create API key'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/admin/keys
+ * @desc    List API keys (hashes are never returned)
+ */
+app.get('/api/admin/keys', requireRole('operator'), async (req, res) => {
+    try {
+        const keys = await listApiKeys();
+
+        res.status(200).json({
+            success: true,
+            count: keys.length,
+            data: keys
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'GET /api/admin/keys' });
+        res.status(500).json({
+            error: 'Failed to list API keys'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/admin/keys/:keyId
+ * @desc    Revoke an API key
+ */
+app.delete('/api/admin/keys/:keyId', requireRole('operator'), async (req, res) => {
+    try {
+        const result = await revokeApiKey(req.params.keyId);
+
+        if (result.success) {
+            res.status(200).json(result);
+        } else {
+            res.status(404).json(result);
+        }
+
+    } catch (error) {
+        logger.logError(error, { context: 'DELETE /api/admin/keys/:keyId' });
+        res.status(500).json({
+            error: 'Failed to revoke API key'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/publishers
+ * @desc    Create a publisher account
+ * @body    { name: string, quotas?: { maxActiveStreams?: number, maxTotalViewers?: number } }
+ */
+app.post('/api/publishers', requireRole('operator'), async (req, res) => {
+    try {
+        const { name, quotas } = req.body;
+
+        if (!name) {
+            return res.status(400).json({
+                error: 'Missing required field: name'
+            });
+        }
+
+        const publisher = await createPublisher({
+            name: String(name).substring(0, 100),
+            quotas
+        });
+
+        res.status(201).json({
+            success: true,
+            data: publisher
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'POST /api/publishers' });
+        res.status(500).json({
+            error: 'Failed to create publisher'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/publishers
+ * @desc    List publisher accounts with their quotas and current usage
+ */
+app.get('/api/publishers', requireRole('operator', 'readonly'), async (req, res) => {
+    try {
+        const publishers = await Promise.all((await listPublishers()).map(async publisher => ({
+            ...publisher,
+            quotas: getQuotas(publisher),
+            usage: await getPublisherUsage(publisher.id)
+        })));
+
+        res.status(200).json({
+            success: true,
+            count: publishers.length,
+            data: publishers
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'GET /api/publishers' });
+        res.status(500).json({
+            error: 'Failed to list publishers'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/publishers/me
+ * @desc    The authenticated publisher's account, quotas and usage
+ */
+app.get('/api/publishers/me', requireRole('publisher'), async (req, res) => {
+    try {
+        const publisher = await getPublisher(req.apiKey.publisherId);
+
+        if (!publisher) {
+            return res.status(404).json({
+                error: 'Publisher not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ...publisher,
+                quotas: getQuotas(publisher),
+                usage: await getPublisherUsage(publisher.id)
+            }
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'GET /api/publishers/me' });
+        res.status(500).json({
+            error: 'Failed to get publisher'
+        });
+    }
+});
+
+/**
+ * @route   PATCH /api/publishers/:publisherId
+ * @desc    Update a publisher's quotas
+ * @body    { quotas: { maxActiveStreams?: number, maxTotalViewers?: number } }
+ */
+app.patch('/api/publishers/:publisherId', requireRole('operator'), async (req, res) => {
+    try {
+        const publisher = await updatePublisherQuotas(req.params.publisherId, req.body.quotas || {});
+
+        if (!publisher) {
+            return res.status(404).json({
+                error: 'Publisher not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: publisher
+        });
+
+    } catch (error) {
+        logger.logError(error, { context: 'PATCH /api/publishers/:publisherId' });
+        res.status(500).json({
+            error: 'Failed to update publisher'
+        });
+    }
 });
 
 // ============================================
@@ -472,24 +1427,28 @@ const server = app.listen(PORT, () => {
     logger.info(`Port: ${PORT}`);
     logger.info(`Health Check: http://localhost:${PORT}/health`);
     logger.info(`=================================`);
-});
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    logger.info('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-        logger.info('Server closed');
-        process.exit(0);
+    bootstrapApiKeys().catch(error => {
+        logger.logError(error, { context: 'Bootstrapping API keys' });
     });
 });
 
-process.on('SIGINT', () => {
-    logger.info('SIGINT received, shutting down gracefully');
+// Graceful shutdown
+function shutdown(signal) {
+    logger.info(`${signal} received, shutting down gracefully`);
+    // Open event streams would otherwise keep the server from closing
+    closeStreamEvents();
     server.close(() => {
         logger.info('Server closed');
-        process.exit(0);
+        // Flush pending store writes (file driver) and release connections (redis driver)
+        getStore().close()
+            .catch(error => logger.logError(error, { context: 'Closing store' }))
+            .finally(() => process.exit(0));
     });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
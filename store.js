@@ -0,0 +1,305 @@
+/**
+ * Persistence Layer
+ * Pluggable storage backend for stream and viewer session state
+ *
+ * Drivers:
+ * - memory: process-local Maps (default, state is lost on restart)
+ * - file: JSON snapshot on local disk for single-node durability
+ * - redis: any Redis-protocol server, shared between instances
+ *
+ * Every driver exposes the same async interface over named collections
+ * (e.g. 'streams', 'sessions'). Records are serialized on write, so callers
+ * must `set` a record after mutating it regardless of the driver in use.
+ * Counters that concurrent requests update go through `increment`, and
+ * records they modify through `update` (read, change and write back as one
+ * step), both atomic in every driver. `update(name, id, change)` stores what
+ * `change(current)` returns (current is null for a missing record), or leaves
+ * the record alone when it returns undefined; `change` must be synchronous
+ * and may run more than once, and errors it throws abort the update.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Redis: replace a hash field only if it still holds the value it was read with
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], ARGV[1])
+if (current or '') ~= ARGV[2] then
+    return 0
+end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[3])
+return 1
+`;
+// Redis: give up an update when other writers keep winning the race
+const MAX_UPDATE_ATTEMPTS = 20;
+
+/**
+ * Serialize a record, preserving Date instances
+ * @param {Object} value - Record to serialize
+ * @returns {string} JSON string
+ */
+function serialize(value) {
+    return JSON.stringify(value, function (key, val) {
+        const raw = this[key];
+        return raw instanceof Date ? { $date: raw.toISOString() } : val;
+    });
+}
+
+/**
+ * Deserialize a record produced by serialize()
+ * @param {string} json - JSON string
+ * @returns {Object|null} Record
+ */
+function deserialize(json) {
+    if (json === null || json === undefined) {
+        return null;
+    }
+    return JSON.parse(json, (key, val) => {
+        return val && typeof val === 'object' && typeof val.$date === 'string'
+            ? new Date(val.$date)
+            : val;
+    });
+}
+
+/**
+ * In-memory driver
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - Called after every mutation
+ * @param {Object} [options.initialData] - { collection: { id: serializedRecord } }
+ * @returns {Object} Store
+ */
+function createMemoryStore(options = {}) {
+    const collections = new Map();
+    const onChange = options.onChange || (() => Promise.resolve());
+
+    for (const [name, records] of Object.entries(options.initialData || {})) {
+        collections.set(name, new Map(Object.entries(records)));
+    }
+
+    function collection(name) {
+        if (!collections.has(name)) {
+            collections.set(name, new Map());
+        }
+        return collections.get(name);
+    }
+
+    return {
+        driver: 'memory',
+
+        async get(name, id) {
+            return deserialize(collection(name).get(id));
+        },
+
+        async set(name, id, value) {
+            collection(name).set(id, serialize(value));
+            await onChange();
+        },
+
+        async delete(name, id) {
+            const deleted = collection(name).delete(id);
+            if (deleted) {
+                await onChange();
+            }
+            return deleted;
+        },
+
+        async list(name) {
+            return Array.from(collection(name).values(), deserialize);
+        },
+
+        async count(name) {
+            return collection(name).size;
+        },
+
+        async increment(name, id, by = 1) {
+            // Read and write happen in one tick, so no other request interleaves
+            const value = (deserialize(collection(name).get(id)) || 0) + by;
+            collection(name).set(id, serialize(value));
+            await onChange();
+            return value;
+        },
+
+        async update(name, id, change) {
+            // Read, change and write happen in one tick, so no other request interleaves
+            const current = deserialize(collection(name).get(id));
+            const next = change(current);
+            if (next === undefined) {
+                return current;
+            }
+            collection(name).set(id, serialize(next));
+            await onChange();
+            return next;
+        },
+
+        async clear(name) {
+            if (collections.delete(name)) {
+                await onChange();
+            }
+        },
+
+        toJSON() {
+            const snapshot = {};
+            for (const [name, records] of collections.entries()) {
+                snapshot[name] = Object.fromEntries(records);
+            }
+            return snapshot;
+        },
+
+        async close() {}
+    };
+}
+
+/**
+ * File driver - memory driver persisted to a JSON snapshot
+ * Writes are coalesced and atomic (temp file + rename).
+ * @param {Object} options
+ * @param {string} options.filePath - Snapshot file path
+ * @returns {Object} Store
+ */
+function createFileStore(options) {
+    const filePath = path.resolve(options.filePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    let initialData = {};
+    if (fs.existsSync(filePath)) {
+        try {
+            initialData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            logger.logError(error, { context: 'Loading store snapshot', filePath });
+        }
+    }
+
+    let writeChain = Promise.resolve();
+    let flushPending = false;
+
+    // Queue at most one pending write; it snapshots state when it runs
+    function flush() {
+        if (flushPending) {
+            return writeChain;
+        }
+        flushPending = true;
+        writeChain = writeChain.then(async () => {
+            flushPending = false;
+            const tmpPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tmpPath, JSON.stringify(memory.toJSON()));
+            await fs.promises.rename(tmpPath, filePath);
+        }).catch((error) => {
+            logger.logError(error, { context: 'Persisting store snapshot', filePath });
+        });
+        return writeChain;
+    }
+
+    const memory = createMemoryStore({ initialData, onChange: flush });
+
+    return {
+        ...memory,
+        driver: 'file',
+        async close() {
+            await writeChain;
+        }
+    };
+}
+
+/**
+ * Redis driver - one hash per collection
+ * @param {Object} options
+ * @param {string} [options.url] - Redis connection URL
+ * @param {string} [options.keyPrefix] - Key prefix for all collections
+ * @param {Object} [options.client] - Pre-built client (ioredis-compatible), e.g. a local stand-in
+ * @returns {Object} Store
+ */
+function createRedisStore(options) {
+    let client = options.client;
+    if (!client) {
+        const Redis = require('ioredis');
+        client = new Redis(options.url);
+        client.on('error', (error) => {
+            logger.logError(error, { context: 'Redis store connection' });
+        });
+    }
+    const prefix = options.keyPrefix || 'lsp:';
+    const key = (name) => `${prefix}${name}`;
+
+    return {
+        driver: 'redis',
+
+        async get(name, id) {
+            return deserialize(await client.hget(key(name), id));
+        },
+
+        async set(name, id, value) {
+            await client.hset(key(name), id, serialize(value));
+        },
+
+        async delete(name, id) {
+            return (await client.hdel(key(name), id)) > 0;
+        },
+
+        async list(name) {
+            return (await client.hvals(key(name))).map(deserialize);
+        },
+
+        async count(name) {
+            return client.hlen(key(name));
+        },
+
+        async increment(name, id, by = 1) {
+            return client.hincrby(key(name), id, by);
+        },
+
+        async update(name, id, change) {
+            // Optimistic: retry with a fresh read when another write got in between
+            for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+                const raw = await client.hget(key(name), id);
+                const next = change(deserialize(raw));
+                if (next === undefined) {
+                    return deserialize(raw);
+                }
+                const written = await client.eval(COMPARE_AND_SET_SCRIPT, 1, key(name), id, raw || '', serialize(next));
+                if (Number(written) === 1) {
+                    return next;
+                }
+            }
+            throw new Error(`Too many concurrent updates to ${name}/${id}`);
+        },
+
+        async clear(name) {
+            await client.del(key(name));
+        },
+
+        async close() {
+            await client.quit();
+        }
+    };
+}
+
+/**
+ * Create a store for the configured driver
+ * @param {Object} [config]
+ * @param {string} [config.driver] - memory | file | redis
+ * @returns {Object} Store
+ */
+function createStore(config = {}) {
+    const driver = config.driver || 'memory';
+
+    switch (driver) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore({ filePath: config.filePath || path.join(__dirname, 'data', 'store.json') });
+        case 'redis':
+            return createRedisStore({ url: config.redisUrl, keyPrefix: config.keyPrefix, client: config.client });
+        default:
+            throw new Error(`Unknown store driver: ${driver}`);
+    }
+}
+
+module.exports = {
+    createStore,
+    createMemoryStore,
+    createFileStore,
+    createRedisStore,
+    serialize,
+    deserialize
+};
@@ -12,355 +12,1337 @@
  * 7. Chrome has excellent HLS.js support
  */
 
-const http = require('http');
-const https = require('https');
 const url = require('url');
-const { decryptUrl } = require('./auth');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { pipeline } = require('stream');
+const HLS = require('hls-parser');
+const { decryptStreamOrigins, decryptUpstreamHeaders } = require('./auth');
+const { signProxyUrl, openProxyUrl } = require('./urlSigner');
+const { requestUpstream, getUpstreamStats } = require('./upstreamClient');
+const { createDiskCache } = require('./diskCache');
 const logger = require('./logger');
 
-// Simple in-memory cache for segments (use Redis in production)
+// In-memory LRU cache for segments, keyed by canonical upstream URL
+// (Map iteration order is the recency order: hits are moved to the end)
 const segmentCache = new Map();
 const CACHE_MAX_SIZE = 50 * 1024 * 1024; // 50MB max cache
 let currentCacheSize = 0;
+const cacheStats = { hits: 0, diskHits: 0, misses: 0, coalesced: 0, evictions: 0, expirations: 0 };
 
-// Request timeout configuration
-const REQUEST_TIMEOUT = 30000; // 30 seconds
+// Optional second tier on local disk, consulted when the memory tier misses
+// (enabled with PROXY_DISK_CACHE_DIR, sized with PROXY_DISK_CACHE_MAX_MB)
+const diskCache = process.env.PROXY_DISK_CACHE_DIR
+    ? createDiskCache({
+        dir: process.env.PROXY_DISK_CACHE_DIR,
+        maxBytes: (parseInt(process.env.PROXY_DISK_CACHE_MAX_MB, 10) || 1024) * 1024 * 1024
+    })
+    : null;
+
+// Segment cache TTL in seconds per upstream content type, overridable with
+// PROXY_CACHE_TTLS="video/mp2t=30,text/vtt=60,default=30"
+const CACHE_TTLS = {
+    'video/mp2t': 30,
+    'video/mp4': 30,
+    'audio/mp4': 30,
+    'audio/aac': 30,
+    'text/vtt': 60,
+    default: 30,
+    ...parseCacheTtls(process.env.PROXY_CACHE_TTLS)
+};
+
+// Upstream fetches in progress, keyed by upstream URL, so concurrent misses share one origin request
+const inflightSegments = new Map();
+const inflightManifests = new Map();
+
+// Shared cache of upstream media playlists, keyed by upstream request URL
+const manifestCache = new Map();
+const MANIFEST_CACHE_MAX_TTL = 5000; // 5 seconds
+
+// Upstream retry configuration (timeouts and the upstream policy live in upstreamClient.js)
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
+// Retries and failover end within this, below hls.js's 10 second
+// time-to-first-byte limit, so the player gets an answer it can act on
+const FAILOVER_DEADLINE_MS = 8000;
+// Per attempt while other origins are left, so one that hangs leaves them time
+const ATTEMPT_TIMEOUT_MS = 4000;
+// LL-HLS blocking playlist reloads are held by the origin for up to a few part targets
+const BLOCKING_RELOAD_DEADLINE_MS = 15000;
+
+// Decrypted upstream headers and origins per stream, so requests do not decrypt them again
+const upstreamHeaderCache = new Map();
+const streamOriginCache = new Map();
+const UPSTREAM_HEADER_CACHE_MAX_ENTRIES = 1000;
+const NO_UPSTREAM_HEADERS = { headers: {}, cacheScope: null };
+
+// Query parameters that carry origin credentials (signed URLs, CDN tokens), masked in logs
+const SENSITIVE_QUERY_PARAMS = new Set([
+    'token', 'key', 'signature', 'sig', 'policy', 'key-pair-id', 'hdnts', 'hdnea',
+    'access_token', 'auth', 'x-amz-signature', 'x-amz-credential', 'x-amz-security-token'
+]);
+
+// Origin currently serving each stream with backup origins: index into
+// [originalUrl, ...backupUrls], so requests start at the last working mirror.
+// Entries go when the stream is stopped here, or once it has had no requests
+// for ORIGIN_STATE_IDLE_MS (it stopped elsewhere or expired)
+const activeOrigins = new Map();
+const ORIGIN_STATE_IDLE_MS = 10 * 60 * 1000; // 10 minutes
+
+// Upstream playlists are often not strictly spec-compliant; parse leniently
+HLS.setOptions({ strictMode: false, silent: true });
+
+// Single byte range: "bytes=0-499", "bytes=500-" or "bytes=-500"
+const RANGE_PATTERN = /^bytes=(\d*)-(\d*)$/;
+
+// Viewer headers forwarded to the origin for uncached Range requests
+const FORWARDED_RANGE_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since'];
+
+// LL-HLS delivery directives forwarded to the origin (blocking playlist reload
+// and playlist delta updates), with the values each one accepts
+const DELIVERY_DIRECTIVES = {
+    _HLS_msn: /^\d+$/,
+    _HLS_part: /^\d+$/,
+    _HLS_skip: /^(YES|v2)$/
+};
+
+/**
+ * Parse a "type=seconds,type=seconds" list of cache TTLs
+ * @param {string} [value] - TTL list
+ * @returns {Object} TTL in seconds per content type
+ */
+function parseCacheTtls(value) {
+    const ttls = {};
+    for (const entry of (value || '').split(',')) {
+        const [type, seconds] = entry.split('=').map(part => part && part.trim());
+        if (type && Number(seconds) >= 0) {
+            ttls[type.toLowerCase()] = Number(seconds);
+        }
+    }
+    return ttls;
+}
+
+/**
+ * Create an error carrying the HTTP status the viewer should receive
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function proxyError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Get the headers a stream sends upstream and the cache scope they imply
+ * Responses fetched with origin credentials are only shared between streams
+ * sending the same headers, so a stream without them cannot read the cache.
+ * @param {Object} streamData - Stream record
+ * @returns {Object} { headers, cacheScope } (cacheScope null without custom headers)
+ */
+function getUpstreamHeaders(streamData) {
+    if (!streamData.encryptedHeaders) {
+        return NO_UPSTREAM_HEADERS;
+    }
+
+    const cached = upstreamHeaderCache.get(streamData.streamId);
+    if (cached && cached.encryptedHeaders === streamData.encryptedHeaders) {
+        return cached;
+    }
+
+    const headers = decryptUpstreamHeaders(streamData);
+    const fingerprint = JSON.stringify(Object.entries(headers).sort());
+    const entry = {
+        encryptedHeaders: streamData.encryptedHeaders,
+        headers,
+        cacheScope: crypto.createHash('sha256').update(fingerprint).digest('hex').slice(0, 16)
+    };
+
+    if (upstreamHeaderCache.size >= UPSTREAM_HEADER_CACHE_MAX_ENTRIES) {
+        upstreamHeaderCache.delete(upstreamHeaderCache.keys().next().value);
+    }
+    upstreamHeaderCache.set(streamData.streamId, entry);
+    return entry;
+}
+
+/**
+ * Get a stream's origins, decrypted once per stream
+ * @param {Object} streamData - Stream record
+ * @returns {string[]} [originalUrl, ...backupUrls]
+ */
+function getStreamOrigins(streamData) {
+    const cached = streamOriginCache.get(streamData.streamId);
+    if (cached && cached.encryptedUrl === streamData.encryptedUrl) {
+        return cached.origins;
+    }
+
+    const origins = decryptStreamOrigins(streamData);
+    if (streamOriginCache.size >= UPSTREAM_HEADER_CACHE_MAX_ENTRIES) {
+        streamOriginCache.delete(streamOriginCache.keys().next().value);
+    }
+    streamOriginCache.set(streamData.streamId, { encryptedUrl: streamData.encryptedUrl, origins });
+    return origins;
+}
+
+/**
+ * Scope a cache key to the upstream headers it was fetched with
+ * @param {string} key - Upstream URL (without fragment)
+ * @param {Object} streamData - Stream record
+ * @returns {string} Cache key
+ */
+function scopedCacheKey(key, streamData) {
+    const { cacheScope } = getUpstreamHeaders(streamData);
+    return cacheScope ? `${key}#headers=${cacheScope}` : key;
+}
+
+/**
+ * Add the viewer's LL-HLS delivery directives to an upstream playlist URL
+ * @param {string} originalUrl - Upstream playlist URL
+ * @param {Object} query - Query parameters of the proxy request
+ * @returns {string} Upstream request URL
+ */
+function withDeliveryDirectives(originalUrl, query) {
+    const target = new URL(originalUrl);
+    for (const [name, pattern] of Object.entries(DELIVERY_DIRECTIVES)) {
+        const value = query[name];
+        if (typeof value === 'string' && pattern.test(value)) {
+            target.searchParams.set(name, value);
+        }
+    }
+    return target.toString();
+}
+
+/**
+ * List the URLs to try for an upstream resource, active origin first
+ * Backup origins are mirrors: a resource under the primary's directory is
+ * found at the same relative path under each backup's directory.
+ * @param {string} upstreamUrl - Upstream URL as referenced by the playlists
+ * @param {Object} streamData - Stream record
+ * @returns {Array<Object>} Candidates ({ url, origin }), origin being null outside every origin
+ */
+function getOriginCandidates(upstreamUrl, streamData) {
+    const origins = getStreamOrigins(streamData);
+    const bases = origins.map(origin => new URL('.', origin).toString());
+    const originIndex = bases.findIndex(base => upstreamUrl.startsWith(base));
+
+    if (origins.length === 1 || originIndex === -1) {
+        return [{ url: upstreamUrl, origin: originIndex === -1 ? null : originIndex }];
+    }
+
+    const active = getActiveOrigin(streamData.streamId);
+    const order = [active, ...origins.keys()].filter((index, position, all) => all.indexOf(index) === position);
+    const relativePath = upstreamUrl.slice(bases[originIndex].length);
+
+    return order.map(index => ({
+        // The entry playlists themselves may be named differently on each mirror
+        url: upstreamUrl === origins[originIndex] ? origins[index] : bases[index] + relativePath,
+        origin: index
+    }));
+}
+
+/**
+ * Get the origin a stream is currently served from
+ * @param {string} streamId - Stream identifier
+ * @returns {number} Index into [originalUrl, ...backupUrls]
+ */
+function getActiveOrigin(streamId) {
+    const entry = activeOrigins.get(streamId);
+    if (!entry) {
+        return 0;
+    }
+    entry.lastUsed = Date.now();
+    return entry.origin;
+}
+
+/**
+ * Drop the origin state and decrypted origins kept for a stream
+ * Called when the stream is stopped; idle entries are swept periodically.
+ * @param {string} streamId - Stream identifier
+ */
+function forgetStream(streamId) {
+    activeOrigins.delete(streamId);
+    streamOriginCache.delete(streamId);
+    upstreamHeaderCache.delete(streamId);
+}
+
+// Sweep origin state of streams without recent requests; the timer does not keep the process alive
+setInterval(() => {
+    const idleSince = Date.now() - ORIGIN_STATE_IDLE_MS;
+    for (const [streamId, entry] of activeOrigins) {
+        if (entry.lastUsed < idleSince) {
+            forgetStream(streamId);
+        }
+    }
+}, ORIGIN_STATE_IDLE_MS / 2).unref();
+
+/**
+ * Make an origin the one a stream is served from, logging the switch
+ * @param {Object} streamData - Stream record
+ * @param {number|null} origin - Index into [originalUrl, ...backupUrls]
+ */
+function useOrigin(streamData, origin) {
+    const active = getActiveOrigin(streamData.streamId);
+    if (origin === null || origin === active) {
+        return;
+    }
+
+    const origins = getStreamOrigins(streamData);
+    activeOrigins.set(streamData.streamId, { origin, lastUsed: Date.now() });
+    logger.logStreamEvent('origin_failover', {
+        streamId: streamData.streamId,
+        from: maskUrl(origins[active]),
+        to: maskUrl(origins[origin]),
+        backup: origin > 0
+    });
+}
+
+/**
+ * Get the delay before a retry: exponential backoff with jitter, so
+ * viewers that failed together do not retry together
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(retry) {
+    return Math.round(RETRY_DELAY * 2 ** (retry - 1) * (0.5 + Math.random()));
+}
+
+/**
+ * Run an idempotent upstream GET with retries and origin failover
+ * Connection errors, timeouts and 5xx responses are retried with backoff on
+ * the active origin, then on each other origin of the stream; other failures
+ * move on to the next origin straight away. Everything ends within one
+ * overall deadline: retries that would not fit move on to the next origin.
+ * @param {string} upstreamUrl - Upstream URL as referenced by the playlists
+ * @param {Object} streamData - Stream record
+ * @param {Function} request - Called with a candidate URL, the stream's upstream headers and the
+ *   time (ms since epoch) the response must arrive by; resolves with a response ({ statusCode })
+ * @param {number} [maxRetries] - Retries per origin
+ * @param {number} [deadlineMs] - Time allowed for all attempts
+ * @returns {Promise<Object>} First response below 500
+ * @throws {Error} The last origin's error (status 403, 502 or 504) once every origin has failed
+ */
+async function requestWithFailover(upstreamUrl, streamData, request, maxRetries = MAX_RETRIES, deadlineMs = FAILOVER_DEADLINE_MS) {
+    const { headers } = getUpstreamHeaders(streamData);
+    const candidates = getOriginCandidates(upstreamUrl, streamData);
+    const deadline = Date.now() + deadlineMs;
+    let lastError;
+
+    for (const [position, candidate] of candidates.entries()) {
+        if (lastError && Date.now() >= deadline) {
+            break;
+        }
+        // While other origins are left, keep time for the next one
+        const moreOrigins = position < candidates.length - 1;
+        const originDeadline = moreOrigins ? deadline - ATTEMPT_TIMEOUT_MS : deadline;
+
+        for (let retry = 0; retry <= maxRetries; retry++) {
+            if (retry > 0) {
+                const delay = getRetryDelay(retry);
+                if (Date.now() + delay >= originDeadline) {
+                    break;
+                }
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            const attemptDeadline = moreOrigins ? Math.min(deadline, Date.now() + ATTEMPT_TIMEOUT_MS) : deadline;
+
+            let retryable = true;
+            try {
+                const response = await request(candidate.url, headers, attemptDeadline);
+                if (response.statusCode < 500) {
+                    useOrigin(streamData, candidate.origin);
+                    return response;
+                }
+                if (response.resume) {
+                    response.resume();
+                }
+                lastError = proxyError(`Stream source responded ${response.statusCode}`, 502);
+            } catch (error) {
+                lastError = error;
+                retryable = Boolean(error.retryable);
+            }
+
+            logger.warn('Upstream request failed', {
+                url: maskUrl(candidate.url),
+                attempt: retry + 1,
+                error: lastError.message
+            });
+
+            // Refused by the upstream policy or too large: only another origin can help
+            if (!retryable) {
+                break;
+            }
+        }
+    }
+
+    logger.logError(lastError, { context: 'Upstream request', url: maskUrl(upstreamUrl) });
+    throw lastError;
+}
+
+/**
+ * Request an upstream manifest
+ * @param {string} requestUrl - Upstream manifest URL (including delivery directives)
+ * @param {Object} [headers] - Stream's upstream headers
+ * @param {number} [deadline] - Time (ms since epoch) the response headers must arrive by
+ * @returns {Promise<Object>} { statusCode, body, url }, url being where the
+ *   manifest was served from after redirects
+ */
+async function requestManifest(requestUrl, headers = {}, deadline = null) {
+    const proxyRes = await requestUpstream(requestUrl, { ...headers, 'Accept-Encoding': 'identity' }, { deadline });
+
+    if (proxyRes.url !== requestUrl) {
+        logger.logStreamEvent('manifest_redirect', { redirectUrl: maskUrl(proxyRes.url) });
+    }
+
+    return new Promise((resolve, reject) => {
+        let body = '';
+        proxyRes.setEncoding('utf8');
+        proxyRes.on('data', chunk => body += chunk);
+        proxyRes.on('end', () => resolve({ statusCode: proxyRes.statusCode, body, url: proxyRes.url }));
+        proxyRes.on('error', error => reject(error.status ? error : proxyError('Stream source connection lost', 502)));
+    });
+}
+
+/**
+ * Get how long an upstream manifest may be shared between viewers
+ * Only media playlists are cached, for half a target duration (half a part
+ * target for LL-HLS) so viewers never fall more than that behind origin.
+ * @param {string} body - Manifest content
+ * @returns {number} Cache TTL in milliseconds (0 = do not cache)
+ */
+function getManifestTtl(body) {
+    const targetDuration = body.match(/#EXT-X-TARGETDURATION:\s*(\d+)/);
+    if (!targetDuration) {
+        return 0;
+    }
+
+    const partTarget = body.match(/#EXT-X-PART-INF:.*PART-TARGET=([\d.]+)/);
+    const seconds = partTarget ? parseFloat(partTarget[1]) : parseInt(targetDuration[1]);
+
+    return Math.min(seconds * 1000 / 2, MANIFEST_CACHE_MAX_TTL);
+}
+
+/**
+ * Fetch an upstream manifest through the shared cache
+ * Concurrent misses for the same URL share one origin request.
+ * @param {string} originalUrl - Upstream manifest URL
+ * @param {Object} query - Proxy request query (LL-HLS delivery directives)
+ * @param {Object} streamData - Stream record, for upstream headers, retries and failover
+ * @returns {Promise<Object>} Upstream response with `cacheStatus` (HIT, MISS or COALESCED)
+ */
+async function fetchManifest(originalUrl, query, streamData) {
+    const cacheKey = scopedCacheKey(withDeliveryDirectives(originalUrl, query), streamData);
+
+    const cached = manifestCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return { ...cached.response, cacheStatus: 'HIT' };
+    }
+
+    const inflight = inflightManifests.get(cacheKey);
+    if (inflight) {
+        return { ...(await inflight), cacheStatus: 'COALESCED' };
+    }
+
+    // Delivery directives are added per candidate: mirrors may name the entry playlist differently
+    const blocking = typeof query._HLS_msn === 'string' && DELIVERY_DIRECTIVES._HLS_msn.test(query._HLS_msn);
+    const request = requestWithFailover(originalUrl, streamData,
+        (candidateUrl, headers, deadline) => requestManifest(withDeliveryDirectives(candidateUrl, query), headers, deadline),
+        MAX_RETRIES, blocking ? BLOCKING_RELOAD_DEADLINE_MS : FAILOVER_DEADLINE_MS)
+        .then((response) => {
+            const ttl = response.statusCode === 200 ? getManifestTtl(response.body) : 0;
+            if (ttl > 0) {
+                cacheManifest(cacheKey, response, ttl);
+            }
+            return response;
+        })
+        .finally(() => inflightManifests.delete(cacheKey));
+
+    inflightManifests.set(cacheKey, request);
+    return { ...(await request), cacheStatus: 'MISS' };
+}
+
+/**
+ * Store an upstream manifest in the shared cache, dropping expired entries
+ * @param {string} key - Cache key (upstream manifest URL)
+ * @param {Object} response - Upstream response
+ * @param {number} ttl - Cache TTL in milliseconds
+ */
+function cacheManifest(key, response, ttl) {
+    const now = Date.now();
+    for (const [key, entry] of manifestCache) {
+        if (entry.expiresAt <= now) {
+            manifestCache.delete(key);
+        }
+    }
+
+    manifestCache.set(key, { response, expiresAt: now + ttl });
+}
 
 /**
  * Proxy HLS manifest (.m3u8) request
- * @param {string} encryptedUrl - Encrypted source URL
+ * @param {string} reference - Signed reference to the source URL (or the stream's encrypted URL)
  * @param {Object} res - Express response object
  * @param {string} baseProxyUrl - Base URL for proxying segments
+ * @param {Object} access - Validated stream access ({ token, streamId, streamData })
+ * @param {Object} [query] - Proxy request query, checked for LL-HLS delivery directives
  */
-async function proxyManifest(encryptedUrl, res, baseProxyUrl) {
+async function proxyManifest(reference, res, baseProxyUrl, access, query = {}) {
     try {
-        const originalUrl = decryptUrl(encryptedUrl);
+        const originalUrl = openProxyUrl(reference, access.streamId);
         logger.logStreamEvent('proxy_manifest_request', { url: maskUrl(originalUrl) });
 
-        const parsedUrl = url.parse(originalUrl);
-        const client = parsedUrl.protocol === 'https:' ? https : http;
-
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port,
-            path: parsedUrl.path,
-            method: 'GET',
-            timeout: REQUEST_TIMEOUT,
-            headers: {
-                'User-Agent': 'LiveStreamingPlatform/1.0',
-                'Accept': '*/*',
-                'Accept-Encoding': 'identity'
-            }
-        };
-
-        const proxyReq = client.request(options, (proxyRes) => {
-            // Set CORS headers
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-            res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-            res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
-            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-
-            // Handle redirects
-            if (proxyRes.statusCode >= 300 && proxyRes.statusCode < 400 && proxyRes.headers.location) {
-                const redirectUrl = url.resolve(originalUrl, proxyRes.headers.location);
-                logger.logStreamEvent('manifest_redirect', { redirectUrl: maskUrl(redirectUrl) });
-                
-                // Re-encrypt the redirect URL and proxy again
-                const { encryptUrl } = require('./auth');
-                const encryptedRedirect = encryptUrl(redirectUrl);
-                return proxyManifest(encryptedRedirect, res, baseProxyUrl);
-            }
+        // Blocking reloads are held by the origin until the requested part exists
+        const upstream = await fetchManifest(originalUrl, query, access.streamData);
 
-            if (proxyRes.statusCode !== 200) {
-                logger.logError(new Error(`Manifest request failed: ${proxyRes.statusCode}`), {
-                    url: maskUrl(originalUrl),
-                    statusCode: proxyRes.statusCode
-                });
-                return res.status(502).json({
-                    error: 'Failed to fetch manifest',
-                    statusCode: proxyRes.statusCode
-                });
-            }
+        // Set CORS headers
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('X-Cache', upstream.cacheStatus);
 
-            let data = '';
-            proxyRes.on('data', chunk => data += chunk);
-            proxyRes.on('end', () => {
-                try {
-                    // Rewrite URLs in manifest to point to our proxy
-                    const rewrittenManifest = rewriteManifestUrls(
-                        data,
-                        originalUrl,
-                        baseProxyUrl,
-                        encryptedUrl
-                    );
-
-                    res.status(200).send(rewrittenManifest);
-                    
-                    logger.logStreamEvent('manifest_proxied', {
-                        url: maskUrl(originalUrl),
-                        size: rewrittenManifest.length
-                    });
-                } catch (error) {
-                    logger.logError(error, { context: 'rewriteManifestUrls' });
-                    res.status(500).json({ error: 'Failed to process manifest' });
-                }
+        if (upstream.statusCode !== 200) {
+            logger.logError(new Error(`Manifest request failed: ${upstream.statusCode}`), {
+                url: maskUrl(originalUrl),
+                statusCode: upstream.statusCode
             });
-        });
+            return res.status(502).json({
+                error: 'Failed to fetch manifest',
+                statusCode: upstream.statusCode
+            });
+        }
 
-        proxyReq.on('error', (error) => {
-            logger.logError(error, { context: 'proxyManifest request', url: maskUrl(originalUrl) });
-            res.status(502).json({ error: 'Failed to connect to stream source' });
-        });
+        try {
+            // Rewrite URLs in manifest to point to our proxy, resolving
+            // relative URIs against where it was served from after redirects
+            const rewrittenManifest = rewriteManifestUrls(
+                upstream.body,
+                upstream.url,
+                baseProxyUrl,
+                access
+            );
 
-        proxyReq.on('timeout', () => {
-            proxyReq.destroy();
-            logger.logError(new Error('Manifest request timeout'), { url: maskUrl(originalUrl) });
-            res.status(504).json({ error: 'Stream source timeout' });
-        });
+            res.status(200).send(rewrittenManifest);
 
-        proxyReq.end();
+            logger.logStreamEvent('manifest_proxied', {
+                url: maskUrl(originalUrl),
+                size: rewrittenManifest.length,
+                cache: upstream.cacheStatus
+            });
+        } catch (error) {
+            logger.logError(error, { context: 'rewriteManifestUrls' });
+            res.status(500).json({ error: 'Failed to process manifest' });
+        }
 
     } catch (error) {
-        logger.logError(error, { context: 'proxyManifest' });
-        res.status(500).json({ error: 'Internal proxy error' });
+        if (!error.status) {
+            logger.logError(error, { context: 'proxyManifest' });
+        }
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Internal proxy error' });
     }
 }
 
 /**
- * Proxy HLS segment (.ts) request with caching
- * @param {string} encryptedUrl - Encrypted source URL
- * @param {Object} res - Express response object
+ * Start the upstream fetch of a segment
+ * The returned fetch emits 'response', 'data' (chunk), 'end' (full segment)
+ * or 'failed' (HTTP status for the viewer), and buffers the chunks received
+ * so far for viewers who join while it is in progress. Failures before the
+ * response starts are retried and fail over to the stream's backup origins.
+ * Viewers take part with streamSegmentFetch(); the origin request is aborted
+ * when the last of them leaves before it completes.
+ * @param {string} cacheKey - Cache key the fetch is shared under
+ * @param {string} originalUrl - Upstream segment URL
+ * @param {Object} streamData - Stream record, for upstream headers, retries and failover
+ * @returns {EventEmitter} Shared segment fetch
  */
-async function proxySegment(encryptedUrl, res) {
-    try {
-        // Check cache first
-        const cacheKey = encryptedUrl;
-        const cachedSegment = segmentCache.get(cacheKey);
-        
-        if (cachedSegment && Date.now() - cachedSegment.timestamp < 30000) {
-            // Cache hit (30 second TTL for segments)
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Content-Type', 'video/mp2t');
-            res.setHeader('X-Cache', 'HIT');
-            res.setHeader('Cache-Control', 'public, max-age=30');
-            return res.status(200).send(cachedSegment.data);
-        }
-
-        const originalUrl = decryptUrl(encryptedUrl);
-        
-        const parsedUrl = url.parse(originalUrl);
-        const client = parsedUrl.protocol === 'https:' ? https : http;
-
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port,
-            path: parsedUrl.path,
-            method: 'GET',
-            timeout: REQUEST_TIMEOUT,
-            headers: {
-                'User-Agent': 'LiveStreamingPlatform/1.0',
-                'Accept': '*/*'
-            }
-        };
+function startSegmentFetch(cacheKey, originalUrl, streamData) {
+    const segmentFetch = new EventEmitter();
+    segmentFetch.setMaxListeners(0);
+    segmentFetch.chunks = [];
+    segmentFetch.contentType = null;
+    segmentFetch.contentLength = null;
+    segmentFetch.etag = null;
+    segmentFetch.lastModified = null;
+    segmentFetch.streaming = false;
+    segmentFetch.complete = false;
+    segmentFetch.viewers = 0;
+    segmentFetch.attached = 0;
+    inflightSegments.set(cacheKey, segmentFetch);
 
-        const proxyReq = client.request(options, (proxyRes) => {
-            // Set CORS and content headers
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Access-Type', 'video/mp2t');
-            res.setHeader('X-Cache', 'MISS');
-            res.setHeader('Cache-Control', 'public, max-age=30');
+    let settled = false;
+    let upstream = null;
+    const fail = (status) => {
+        if (settled) {
+            return;
+        }
+        settled = true;
+        inflightSegments.delete(cacheKey);
+        segmentFetch.emit('failed', status);
+    };
+
+    // Called as each viewer leaves: once none is left, the origin request is aborted
+    segmentFetch.release = () => {
+        segmentFetch.attached--;
+        if (segmentFetch.attached > 0 || settled) {
+            return;
+        }
+        settled = true;
+        inflightSegments.delete(cacheKey);
+        if (upstream) {
+            upstream.destroy();
+        }
+    };
+
+    requestWithFailover(originalUrl, streamData, (candidateUrl, headers, deadline) => requestUpstream(candidateUrl, headers, { deadline }))
+        .then((proxyRes) => {
+            if (settled) {
+                return proxyRes.destroy();
+            }
+            upstream = proxyRes;
 
             if (proxyRes.statusCode !== 200) {
                 logger.logError(new Error(`Segment request failed: ${proxyRes.statusCode}`), {
                     url: maskUrl(originalUrl)
                 });
-                return res.status(502).end();
+                proxyRes.resume();
+                return fail(502);
             }
 
-            const chunks = [];
-            
-            proxyRes.on('data', chunk => {
-                chunks.push(chunk);
-                res.write(chunk);
+            segmentFetch.contentType = proxyRes.headers['content-type'] || 'video/mp2t';
+            segmentFetch.contentLength = proxyRes.headers['content-length'] || null;
+            segmentFetch.etag = proxyRes.headers.etag || null;
+            segmentFetch.lastModified = proxyRes.headers['last-modified'] || null;
+            segmentFetch.streaming = true;
+            segmentFetch.emit('response');
+
+            proxyRes.on('data', (chunk) => {
+                segmentFetch.chunks.push(chunk);
+                segmentFetch.emit('data', chunk);
             });
-            
+
             proxyRes.on('end', () => {
-                res.end();
-                
-                // Cache the segment
-                const segmentData = Buffer.concat(chunks);
-                cacheSegment(cacheKey, segmentData);
-                
+                settled = true;
+                segmentFetch.complete = true;
+                inflightSegments.delete(cacheKey);
+
+                const segmentData = Buffer.concat(segmentFetch.chunks);
+                segmentFetch.emit('end', segmentData);
+
                 logger.logStreamEvent('segment_proxied', {
                     url: maskUrl(originalUrl),
-                    size: segmentData.length
+                    size: segmentData.length,
+                    viewers: segmentFetch.viewers
                 });
             });
+
+            proxyRes.on('error', (error) => {
+                logger.logError(error, { context: 'proxySegment response', url: maskUrl(originalUrl) });
+                fail(error.status || 502);
+            });
+        })
+        .catch((error) => {
+            fail(error.status || 502);
         });
 
-        proxyReq.on('error', (error) => {
-            logger.logError(error, { context: 'proxySegment request', url: maskUrl(originalUrl) });
-            if (!res.headersSent) {
-                res.status(502).end();
+    return segmentFetch;
+}
+
+/**
+ * Stream a shared segment fetch to one viewer
+ * Every viewer is replayed the shared buffer at its own pace, honouring
+ * backpressure, so a slow viewer neither stalls the others nor piles up data
+ * in its socket; viewers joining mid-transfer start from the first chunk.
+ * @param {EventEmitter} segmentFetch - Shared segment fetch
+ * @param {Object} res - Express response object
+ * @param {Object} requestHeaders - Viewer request headers (conditional requests)
+ */
+function streamSegmentFetch(segmentFetch, res, requestHeaders) {
+    segmentFetch.viewers++;
+    segmentFetch.attached++;
+
+    let nextChunk = 0;
+    let draining = false;
+    let detached = false;
+
+    const flush = () => {
+        while (nextChunk < segmentFetch.chunks.length) {
+            if (!res.write(segmentFetch.chunks[nextChunk++])) {
+                draining = true;
+                return res.once('drain', onDrain);
             }
-        });
+        }
+        if (segmentFetch.complete) {
+            detach();
+            res.end();
+        }
+    };
+    const onDrain = () => {
+        draining = false;
+        flush();
+    };
+    const onData = () => {
+        if (!draining) {
+            flush();
+        }
+    };
+    const onResponse = () => {
+        res.setHeader('Content-Type', segmentFetch.contentType);
+        res.setHeader('Cache-Control', `public, max-age=${getCacheTtl(segmentFetch.contentType)}`);
+        setValidatorHeaders(res, segmentFetch);
+
+        if (isNotModified(requestHeaders, segmentFetch)) {
+            // This viewer needs no body, but the fetch still finishes into the cache
+            detach(true);
+            return res.status(304).end();
+        }
+
+        if (segmentFetch.contentLength) {
+            res.setHeader('Content-Length', segmentFetch.contentLength);
+        }
+        flush();
+    };
+    const onFailed = (status) => {
+        detach();
+        if (!res.headersSent) {
+            res.status(status).end();
+        } else {
+            res.destroy();
+        }
+    };
+
+    // keepFetching: leave without counting towards aborting the origin request
+    const detach = (keepFetching = false) => {
+        if (detached) {
+            return;
+        }
+        detached = true;
+        segmentFetch.removeListener('response', onResponse);
+        segmentFetch.removeListener('data', onData);
+        segmentFetch.removeListener('end', onData);
+        segmentFetch.removeListener('failed', onFailed);
+        res.removeListener('drain', onDrain);
+        if (!keepFetching) {
+            segmentFetch.release();
+        }
+    };
+
+    if (segmentFetch.streaming) {
+        onResponse();
+    } else {
+        segmentFetch.once('response', onResponse);
+    }
+    segmentFetch.on('data', onData);
+    segmentFetch.once('end', onData);
+    segmentFetch.once('failed', onFailed);
+    res.on('close', () => detach());
+}
+
+/**
+ * Send a segment from the cache, honouring conditional and Range requests
+ * @param {Object} res - Express response object
+ * @param {Object} segment - { data, contentType, expiresAt, etag, lastModified }
+ * @param {string} cacheStatus - X-Cache header value
+ * @param {Object} requestHeaders - Viewer request headers
+ */
+function sendCachedSegment(res, segment, cacheStatus, requestHeaders) {
+    const maxAge = Math.max(0, Math.floor((segment.expiresAt - Date.now()) / 1000));
+    res.setHeader('Content-Type', segment.contentType);
+    res.setHeader('X-Cache', cacheStatus);
+    res.setHeader('Cache-Control', `public, max-age=${maxAge}`);
+    setValidatorHeaders(res, segment);
 
-        proxyReq.on('timeout', () => {
-            proxyReq.destroy();
-            logger.logError(new Error('Segment request timeout'), { url: maskUrl(originalUrl) });
-            if (!res.headersSent) {
-                res.status(504).end();
+    if (isNotModified(requestHeaders, segment)) {
+        return res.status(304).end();
+    }
+
+    const size = segment.data.length;
+    let range = null;
+    if (isRangeCurrent(requestHeaders, segment)) {
+        try {
+            range = parseRange(requestHeaders.range, size);
+        } catch (error) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return res.status(error.status).end();
+        }
+    }
+
+    if (range) {
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+        return res.status(206).end(segment.data.subarray(range.start, range.end + 1));
+    }
+
+    res.setHeader('Content-Length', size);
+    res.status(200).end(segment.data);
+}
+
+/**
+ * Set the Accept-Ranges and validator (ETag, Last-Modified) headers
+ * @param {Object} res - Express response object
+ * @param {Object} validators - { etag, lastModified } from the origin
+ */
+function setValidatorHeaders(res, validators) {
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (validators.etag) {
+        res.setHeader('ETag', validators.etag);
+    }
+    if (validators.lastModified) {
+        res.setHeader('Last-Modified', validators.lastModified);
+    }
+}
+
+/**
+ * Evaluate If-None-Match / If-Modified-Since against the origin validators
+ * If-Modified-Since is only consulted without If-None-Match (RFC 9110 13.2.2).
+ * @param {Object} requestHeaders - Viewer request headers
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean} True when the viewer's copy is current (304)
+ */
+function isNotModified(requestHeaders, validators) {
+    const ifNoneMatch = requestHeaders['if-none-match'];
+    if (ifNoneMatch) {
+        if (!validators.etag) {
+            return false;
+        }
+        const etag = validators.etag.replace(/^W\//, '');
+        return ifNoneMatch.trim() === '*' ||
+            ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+    }
+
+    const ifModifiedSince = Date.parse(requestHeaders['if-modified-since']);
+    const lastModified = Date.parse(validators.lastModified);
+    return !isNaN(ifModifiedSince) && !isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+/**
+ * Evaluate If-Range: a Range only applies while the validator still matches
+ * @param {Object} requestHeaders - Viewer request headers
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean} True when the Range header should be honoured
+ */
+function isRangeCurrent(requestHeaders, validators) {
+    const ifRange = requestHeaders['if-range'];
+    if (!ifRange) {
+        return true;
+    }
+    // Entity tags need a strong match
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return !ifRange.startsWith('W/') && ifRange === validators.etag;
+    }
+    return Boolean(validators.lastModified) && Date.parse(ifRange) === Date.parse(validators.lastModified);
+}
+
+/**
+ * Parse a single-range Range header
+ * Malformed headers and other units are ignored (full response); multiple
+ * ranges and ranges outside the segment are rejected with 416.
+ * @param {string} [rangeHeader] - Range header value
+ * @param {number} size - Segment size in bytes
+ * @returns {Object|null} { start, end } (inclusive), or null for a full response
+ * @throws {Error} 416 proxy error for a multi-range or unsatisfiable range
+ */
+function parseRange(rangeHeader, size) {
+    if (!rangeHeader) {
+        return null;
+    }
+    if (rangeHeader.includes(',')) {
+        throw proxyError('Multiple ranges are not supported', 416);
+    }
+
+    const match = RANGE_PATTERN.exec(rangeHeader.trim());
+    if (!match || (!match[1] && !match[2])) {
+        return null;
+    }
+
+    let start;
+    let end;
+    if (!match[1]) {
+        // Suffix range: the last N bytes
+        const suffixLength = parseInt(match[2], 10);
+        if (suffixLength === 0) {
+            throw proxyError('Range not satisfiable', 416);
+        }
+        start = Math.max(0, size - suffixLength);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+        if (match[2] && parseInt(match[2], 10) < start) {
+            return null;
+        }
+    }
+
+    if (start >= size) {
+        throw proxyError('Range not satisfiable', 416);
+    }
+
+    return { start, end };
+}
+
+/**
+ * Proxy HLS segment (.ts) request with caching
+ * Concurrent misses for the same upstream URL share one origin request.
+ * Range requests (EXT-X-BYTERANGE, seeking in fMP4) are served from the cache,
+ * or passed through to the origin on a miss so large files are never buffered.
+ * @param {string} reference - Signed reference to the source URL (or the stream's encrypted URL)
+ * @param {Object} res - Express response object
+ * @param {Object} access - Validated stream access ({ token, streamId, streamData })
+ * @param {Object} [requestHeaders] - Viewer request headers (Range, If-None-Match, If-Modified-Since, If-Range)
+ */
+async function proxySegment(reference, res, access, requestHeaders = {}) {
+    try {
+        // Decrypt before touching the cache so the URL is verified to belong to this stream
+        const originalUrl = openProxyUrl(reference, access.streamId);
+
+        // References change with the key and the expiry window (and per
+        // stream), so the cache (and request coalescing) must key on the
+        // upstream URL itself
+        const upstreamUrl = canonicalUrl(originalUrl);
+        const cacheKey = scopedCacheKey(upstreamUrl, access.streamData);
+        const cachedSegment = getCachedSegment(cacheKey);
+
+        res.setHeader('Access-Control-Allow-Origin', '*');
+
+        if (cachedSegment) {
+            return sendCachedSegment(res, cachedSegment, 'HIT', requestHeaders);
+        }
+
+        let segmentFetch = inflightSegments.get(cacheKey);
+
+        if (!segmentFetch && diskCache) {
+            const diskSegment = await diskCache.get(cacheKey);
+            if (diskSegment) {
+                cacheStats.diskHits++;
+                const { data, ...meta } = diskSegment;
+                cacheSegment(cacheKey, data, meta);
+                return sendCachedSegment(res, diskSegment, 'HIT-DISK', requestHeaders);
             }
-        });
 
-        proxyReq.end();
+            // Another viewer may have started the origin fetch while the disk was read
+            segmentFetch = inflightSegments.get(cacheKey);
+        }
+
+        if (requestHeaders.range) {
+            if (requestHeaders.range.includes(',')) {
+                return res.status(416).end();
+            }
+            return proxySegmentRange(upstreamUrl, res, requestHeaders, access.streamData);
+        }
+
+        if (segmentFetch) {
+            cacheStats.coalesced++;
+            res.setHeader('X-Cache', 'COALESCED');
+        } else {
+            cacheStats.misses++;
+            res.setHeader('X-Cache', 'MISS');
+            segmentFetch = startSegmentFetch(cacheKey, upstreamUrl, access.streamData);
+            segmentFetch.once('end', segmentData => storeSegment(cacheKey, segmentData, segmentFetch));
+        }
+
+        streamSegmentFetch(segmentFetch, res, requestHeaders);
 
     } catch (error) {
         logger.logError(error, { context: 'proxySegment' });
         if (!res.headersSent) {
-            res.status(500).end();
+            res.status(error.status || 500).end();
         }
     }
 }
 
+/**
+ * Stream an upstream body to the viewer
+ * The pipeline applies backpressure, and an error or early close on either
+ * side tears down the other (a viewer leaving aborts the upstream request).
+ * @param {Stream} proxyRes - Upstream response body
+ * @param {Object} res - Express response object
+ * @param {string} context - Log context
+ * @param {string} originalUrl - Upstream URL, for logging
+ */
+function sendUpstreamBody(proxyRes, res, context, originalUrl) {
+    pipeline(proxyRes, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+            logger.logError(error, { context, url: maskUrl(originalUrl) });
+        }
+    });
+}
+
+/**
+ * Pass a Range request for an uncached segment through to the origin
+ * The response is streamed as-is and not cached: with EXT-X-BYTERANGE the
+ * upstream file may hold the whole presentation.
+ * @param {string} originalUrl - Upstream segment URL
+ * @param {Object} res - Express response object
+ * @param {Object} requestHeaders - Viewer request headers
+ * @param {Object} streamData - Stream record, for upstream headers, retries and failover
+ */
+async function proxySegmentRange(originalUrl, res, requestHeaders, streamData) {
+    const headers = {};
+    for (const name of FORWARDED_RANGE_HEADERS) {
+        if (requestHeaders[name]) {
+            headers[name] = requestHeaders[name];
+        }
+    }
+
+    try {
+        const proxyRes = await requestWithFailover(originalUrl, streamData, (candidateUrl, streamHeaders, deadline) => requestUpstream(candidateUrl, { ...streamHeaders, ...headers }, { deadline }));
+
+        // The viewer went away while the origin was being reached
+        if (res.destroyed) {
+            return proxyRes.destroy();
+        }
+
+        if (![200, 206, 304, 416].includes(proxyRes.statusCode)) {
+            logger.logError(new Error(`Segment range request failed: ${proxyRes.statusCode}`), {
+                url: maskUrl(originalUrl)
+            });
+            proxyRes.resume();
+            return res.status(502).end();
+        }
+
+        const contentType = proxyRes.headers['content-type'] || 'video/mp2t';
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Cache-Control', `public, max-age=${getCacheTtl(contentType)}`);
+        res.setHeader('X-Cache', 'BYPASS');
+        setValidatorHeaders(res, {
+            etag: proxyRes.headers.etag,
+            lastModified: proxyRes.headers['last-modified']
+        });
+        for (const name of ['content-length', 'content-range']) {
+            if (proxyRes.headers[name]) {
+                res.setHeader(name, proxyRes.headers[name]);
+            }
+        }
+
+        res.status(proxyRes.statusCode);
+        sendUpstreamBody(proxyRes, res, 'proxySegment range response', originalUrl);
+    } catch (error) {
+        if (!res.headersSent) {
+            res.status(error.status || 502).end();
+        }
+    }
+}
+
+/**
+ * Proxy an LL-HLS partial segment (EXT-X-PART or EXT-X-PRELOAD-HINT)
+ * Parts are streamed through as the origin produces them and never cached:
+ * a preload hint is requested before the part is complete.
+ * @param {string} reference - Signed reference to the source URL (or the stream's encrypted URL)
+ * @param {Object} res - Express response object
+ * @param {Object} access - Validated stream access ({ token, streamId, streamData })
+ */
+async function proxyPart(reference, res, access) {
+    try {
+        const originalUrl = openProxyUrl(reference, access.streamId);
+
+        // A part is only useful for a moment: fail over without retrying
+        const proxyRes = await requestWithFailover(originalUrl, access.streamData, (candidateUrl, headers, deadline) => requestUpstream(candidateUrl, headers, { deadline }), 0);
+
+        // The viewer went away while the origin was being reached
+        if (res.destroyed) {
+            return proxyRes.destroy();
+        }
+
+        if (proxyRes.statusCode !== 200) {
+            logger.logError(new Error(`Part request failed: ${proxyRes.statusCode}`), {
+                url: maskUrl(originalUrl)
+            });
+            proxyRes.resume();
+            return res.status(502).end();
+        }
+
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Content-Type', proxyRes.headers['content-type'] || 'application/octet-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('X-Cache', 'BYPASS');
+        if (proxyRes.headers['content-length']) {
+            res.setHeader('Content-Length', proxyRes.headers['content-length']);
+        }
+        res.flushHeaders();
+
+        sendUpstreamBody(proxyRes, res, 'proxyPart response', originalUrl);
+
+    } catch (error) {
+        if (!error.status) {
+            logger.logError(error, { context: 'proxyPart' });
+        }
+        if (!res.headersSent) {
+            res.status(error.status || 500).end();
+        }
+    }
+}
+
+/**
+ * Build a proxy URL for an upstream resource: a signed reference to it and the viewer's token
+ * Tokens from a trusted issuer may grant several streams, so their URLs name the stream too.
+ * @param {string} proxyBaseUrl - Our proxy base URL
+ * @param {string} route - Proxy route (manifest, segment, part, key)
+ * @param {string} targetUrl - Absolute upstream URL
+ * The viewer's token (and viewer session) is only added for players that sent
+ * it in the URL rather than in the Authorization header.
+ * @param {Object} access - Validated stream access ({ token, tokenInUrl, sessionId, streamId, external })
+ * @returns {string} Proxy URL
+ */
+function buildProxyUrl(proxyBaseUrl, route, targetUrl, access) {
+    const reference = signProxyUrl(targetUrl, access.streamId);
+    const session = access.tokenInUrl && access.sessionId ? `&session=${encodeURIComponent(access.sessionId)}` : '';
+    const token = access.tokenInUrl ? `&token=${encodeURIComponent(access.token)}${session}` : '';
+    const stream = access.external ? `&streamId=${encodeURIComponent(access.streamId)}` : '';
+    return `${proxyBaseUrl}/${route}?url=${reference}${token}${stream}`;
+}
+
 /**
  * Rewrite URLs in HLS manifest to point to our proxy
+ * The playlist is fully parsed, so URI attributes (EXT-X-MEDIA,
+ * EXT-X-I-FRAME-STREAM-INF, EXT-X-SESSION-KEY, EXT-X-KEY, EXT-X-MAP,
+ * EXT-X-PART, EXT-X-PRELOAD-HINT, EXT-X-RENDITION-REPORT) are rewritten
+ * along with media lines, whatever their file extension.
  * @param {string} manifest - Original manifest content
  * @param {string} baseUrl - Base URL of original stream
  * @param {string} proxyBaseUrl - Our proxy base URL
- * @param {string} encryptedBaseUrl - Encrypted base URL for segments
+ * @param {Object} access - Validated stream access ({ token, streamId })
  * @returns {string} Rewritten manifest
  */
-function rewriteManifestUrls(manifest, baseUrl, proxyBaseUrl, encryptedBaseUrl) {
-    const lines = manifest.split('\n');
-    const rewritten = [];
-    const { encryptUrl } = require('./auth');
-
-    for (const line of lines) {
-        const trimmedLine = line.trim();
-        
-        // Skip empty lines and comments (except EXT-X-KEY)
-        if (!trimmedLine || (trimmedLine.startsWith('#') && !trimmedLine.startsWith('#EXT-X-KEY'))) {
-            rewritten.push(line);
-            continue;
-        }
-
-        // Handle key URI in EXT-X-KEY
-        if (trimmedLine.startsWith('#EXT-X-KEY')) {
-            const uriMatch = trimmedLine.match(/URI="([^"]+)"/);
-            if (uriMatch) {
-                const keyUrl = url.resolve(baseUrl, uriMatch[1]);
-                const encryptedKeyUrl = encryptUrl(keyUrl);
-                const proxyKeyUrl = `${proxyBaseUrl}/key?url=${encodeURIComponent(encryptedKeyUrl)}`;
-                rewritten.push(line.replace(uriMatch[1], proxyKeyUrl));
-                continue;
-            }
+function rewriteManifestUrls(manifest, baseUrl, proxyBaseUrl, access) {
+    const playlist = HLS.parse(manifest);
+    const rewritten = new Set();
+    const proxyUrls = new Map();
+
+    // Keys, maps and renditions are shared between entries; each URI is
+    // proxied once so repeated tags still serialize identically (and are
+    // de-duplicated by the serializer)
+    const rewrite = (item, route) => {
+        if (!item || !item.uri || rewritten.has(item)) {
+            return;
         }
+        rewritten.add(item);
 
-        // Handle variant streams (other .m3u8 URLs)
-        if (trimmedLine.endsWith('.m3u8')) {
-            const variantUrl = url.resolve(baseUrl, trimmedLine);
-            const encryptedVariantUrl = encryptUrl(variantUrl);
-            const proxyVariantUrl = `${proxyBaseUrl}/manifest?url=${encodeURIComponent(encryptedVariantUrl)}`;
-            rewritten.push(proxyVariantUrl);
-            continue;
+        const targetUrl = url.resolve(baseUrl, item.uri);
+        // data:, skd: and other non-HTTP URIs are not fetched through the proxy
+        if (!/^https?:/i.test(targetUrl)) {
+            return;
         }
 
-        // Handle media segments (.ts files)
-        if (trimmedLine.endsWith('.ts') || trimmedLine.includes('.ts?')) {
-            const segmentUrl = url.resolve(baseUrl, trimmedLine);
-            const encryptedSegmentUrl = encryptUrl(segmentUrl);
-            const proxySegmentUrl = `${proxyBaseUrl}/segment?url=${encodeURIComponent(encryptedSegmentUrl)}`;
-            rewritten.push(proxySegmentUrl);
-            continue;
+        const cacheKey = `${route} ${targetUrl}`;
+        if (!proxyUrls.has(cacheKey)) {
+            proxyUrls.set(cacheKey, buildProxyUrl(proxyBaseUrl, route, targetUrl, access));
         }
+        item.uri = proxyUrls.get(cacheKey);
+    };
 
-        // Handle initialization segments (.mp4, .m4s for fMP4)
-        if (trimmedLine.endsWith('.mp4') || trimmedLine.endsWith('.m4s')) {
-            const initUrl = url.resolve(baseUrl, trimmedLine);
-            const encryptedInitUrl = encryptUrl(initUrl);
-            const proxyInitUrl = `${proxyBaseUrl}/segment?url=${encodeURIComponent(encryptedInitUrl)}`;
-            rewritten.push(proxyInitUrl);
-            continue;
+    if (playlist.isMasterPlaylist) {
+        rewriteMasterPlaylist(playlist, rewrite);
+    } else {
+        rewriteMediaPlaylist(playlist, rewrite);
+    }
+
+    return HLS.stringify(playlist);
+}
+
+/**
+ * Rewrite the URIs of a parsed master playlist
+ * @param {Object} playlist - hls-parser MasterPlaylist
+ * @param {Function} rewrite - Rewrites an item's `uri` for a proxy route
+ */
+function rewriteMasterPlaylist(playlist, rewrite) {
+    for (const variant of playlist.variants) {
+        // Includes EXT-X-I-FRAME-STREAM-INF variants
+        rewrite(variant, 'manifest');
+
+        for (const rendition of [...variant.audio, ...variant.video, ...variant.subtitles]) {
+            rewrite(rendition, 'manifest');
         }
+    }
 
-        // Pass through other lines
-        rewritten.push(line);
+    for (const sessionKey of playlist.sessionKeyList) {
+        rewrite(sessionKey, 'key');
     }
 
-    return rewritten.join('\n');
+    for (const sessionData of playlist.sessionDataList) {
+        rewrite(sessionData, 'segment');
+    }
 }
 
 /**
- * Cache segment with LRU eviction
- * @param {string} key - Cache key
+ * Rewrite the URIs of a parsed media playlist
+ * @param {Object} playlist - hls-parser MediaPlaylist
+ * @param {Function} rewrite - Rewrites an item's `uri` for a proxy route
+ */
+function rewriteMediaPlaylist(playlist, rewrite) {
+    repairTrailingSegment(playlist);
+
+    for (const segment of [...playlist.segments, ...playlist.prefetchSegments]) {
+        rewrite(segment, 'segment');
+        rewrite(segment.key, 'key');
+        rewrite(segment.map, 'segment');
+
+        // LL-HLS partial segments, including the EXT-X-PRELOAD-HINT
+        for (const part of segment.parts || []) {
+            rewrite(part, 'part');
+        }
+    }
+
+    for (const report of playlist.renditionReports) {
+        rewrite(report, 'manifest');
+    }
+}
+
+/**
+ * Work around hls-parser quirks with a trailing LL-HLS segment that only has parts so far
+ * - its inherited EXT-X-MAP is assigned to its key and its map is dropped,
+ *   which would serialize as a bogus EXT-X-KEY line
+ * - an EXT-X-PRELOAD-HINT with TYPE=MAP becomes its map but cannot be
+ *   serialized back; preload hints are optional, so that one is dropped
+ * @param {Object} playlist - hls-parser MediaPlaylist
+ */
+function repairTrailingSegment(playlist) {
+    const { segments } = playlist;
+    const last = segments[segments.length - 1];
+    if (!last || last.uri) {
+        return;
+    }
+
+    const previous = segments[segments.length - 2];
+    if (last.key instanceof HLS.types.MediaInitializationSection) {
+        last.key = previous ? previous.key : undefined;
+    }
+    if (!last.map || last.map.hint) {
+        last.map = previous ? previous.map : undefined;
+    }
+}
+
+/**
+ * Store a freshly fetched segment in every cache tier
+ * @param {string} key - Cache key (canonical upstream URL)
+ * @param {Buffer} data - Segment data
+ * @param {Object} upstream - { contentType, etag, lastModified } from the origin response
+ */
+function storeSegment(key, data, upstream) {
+    const ttl = getCacheTtl(upstream.contentType);
+    if (ttl <= 0) {
+        return;
+    }
+
+    const meta = {
+        contentType: upstream.contentType,
+        etag: upstream.etag,
+        lastModified: upstream.lastModified,
+        expiresAt: Date.now() + ttl * 1000
+    };
+    cacheSegment(key, data, meta);
+    if (diskCache) {
+        diskCache.set(key, data, meta);
+    }
+}
+
+/**
+ * Cache segment in memory with LRU eviction
+ * @param {string} key - Cache key (canonical upstream URL)
  * @param {Buffer} data - Segment data
+ * @param {Object} meta - { contentType, etag, lastModified, expiresAt }
  */
-function cacheSegment(key, data) {
-    // Check if adding this would exceed max size
+function cacheSegment(key, data, meta) {
+    if (data.length > CACHE_MAX_SIZE) {
+        return;
+    }
+
+    removeCachedSegment(key);
+
+    // Evict least recently used entries until the segment fits
     while (currentCacheSize + data.length > CACHE_MAX_SIZE && segmentCache.size > 0) {
-        // Evict oldest entry
-        const oldestKey = segmentCache.keys().next().value;
-        const oldestEntry = segmentCache.get(oldestKey);
-        currentCacheSize -= oldestEntry.data.length;
-        segmentCache.delete(oldestKey);
+        removeCachedSegment(segmentCache.keys().next().value);
+        cacheStats.evictions++;
     }
 
-    segmentCache.set(key, {
-        data,
-        timestamp: Date.now()
-    });
+    segmentCache.set(key, { data, ...meta });
     currentCacheSize += data.length;
 }
 
+/**
+ * Look up a cached segment, marking it as most recently used
+ * @param {string} key - Cache key
+ * @returns {Object|null} { data, contentType, etag, lastModified, expiresAt }, or null on a miss
+ */
+function getCachedSegment(key) {
+    const entry = segmentCache.get(key);
+    if (!entry) {
+        return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+        removeCachedSegment(key);
+        cacheStats.expirations++;
+        return null;
+    }
+
+    segmentCache.delete(key);
+    segmentCache.set(key, entry);
+    cacheStats.hits++;
+    return entry;
+}
+
+/**
+ * Remove a segment from the cache
+ * @param {string} key - Cache key
+ */
+function removeCachedSegment(key) {
+    const entry = segmentCache.get(key);
+    if (entry) {
+        currentCacheSize -= entry.data.length;
+        segmentCache.delete(key);
+    }
+}
+
+/**
+ * Get the cache TTL for an upstream content type
+ * @param {string} [contentType] - Content-Type header value
+ * @returns {number} TTL in seconds
+ */
+function getCacheTtl(contentType) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    return type in CACHE_TTLS ? CACHE_TTLS[type] : CACHE_TTLS.default;
+}
+
+/**
+ * Normalize an upstream URL for use as a cache key
+ * @param {string} urlString - Upstream URL
+ * @returns {string} Canonical URL (lowercase scheme and host, no default port or fragment)
+ */
+function canonicalUrl(urlString) {
+    const parsed = new URL(urlString);
+    parsed.hash = '';
+    return parsed.toString();
+}
+
 /**
  * Proxy encryption key request
- * @param {string} encryptedUrl - Encrypted key URL
+ * @param {string} reference - Signed reference to the key URL
  * @param {Object} res - Express response object
+ * @param {Object} access - Validated stream access ({ token, streamId, streamData })
  */
-async function proxyKey(encryptedUrl, res) {
+async function proxyKey(reference, res, access) {
     try {
-        const originalUrl = decryptUrl(encryptedUrl);
-        
-        const parsedUrl = url.parse(originalUrl);
-        const client = parsedUrl.protocol === 'https:' ? https : http;
-
-        const options = {
-            hostname: parsedUrl.hostname,
-            port: parsedUrl.port,
-            path: parsedUrl.path,
-            method: 'GET',
-            timeout: REQUEST_TIMEOUT,
-            headers: {
-                'User-Agent': 'LiveStreamingPlatform/1.0'
-            }
-        };
-
-        const proxyReq = client.request(options, (proxyRes) => {
-            res.setHeader('Access-Control-Allow-Origin', '*');
-            res.setHeader('Content-Type', 'application/octet-stream');
-            res.setHeader('Cache-Control', 'no-cache');
+        const originalUrl = openProxyUrl(reference, access.streamId);
 
-            if (proxyRes.statusCode !== 200) {
-                return res.status(502).end();
-            }
+        const proxyRes = await requestWithFailover(originalUrl, access.streamData, (candidateUrl, headers, deadline) => requestUpstream(candidateUrl, headers, { deadline }));
 
-            proxyRes.pipe(res);
-        });
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Content-Type', 'application/octet-stream');
+        res.setHeader('Cache-Control', 'no-cache');
 
-        proxyReq.on('error', (error) => {
-            logger.logError(error, { context: 'proxyKey' });
-            res.status(502).end();
-        });
+        if (proxyRes.statusCode !== 200) {
+            proxyRes.resume();
+            return res.status(502).end();
+        }
 
-        proxyReq.end();
+        sendUpstreamBody(proxyRes, res, 'proxyKey response', originalUrl);
 
     } catch (error) {
-        logger.logError(error, { context: 'proxyKey' });
-        res.status(500).end();
+        if (!error.status) {
+            logger.logError(error, { context: 'proxyKey' });
+        }
+        res.status(error.status || 500).end();
     }
 }
 
@@ -372,14 +1354,17 @@ async function proxyKey(encryptedUrl, res) {
 function maskUrl(urlString) {
     try {
         const parsed = url.parse(urlString);
+        if (parsed.auth) {
+            parsed.auth = '***';
+        }
         // Mask query parameters that might contain tokens
         if (parsed.query) {
             const params = new URLSearchParams(parsed.query);
-            ['token', 'key', 'signature', 'policy'].forEach(param => {
-                if (params.has(param)) {
-                    params.set(param, '***');
+            for (const name of new Set(params.keys())) {
+                if (SENSITIVE_QUERY_PARAMS.has(name.toLowerCase())) {
+                    params.set(name, '***');
                 }
-            });
+            }
             parsed.search = `?${params.toString()}`;
         }
         return url.format(parsed);
@@ -388,22 +1373,50 @@ function maskUrl(urlString) {
     }
 }
 
+/**
+ * Mask upstream request headers for logging (names only, values hidden)
+ * @param {Object} [headers] - Header name -> value
+ * @returns {Object} Header name -> '***'
+ */
+function maskHeaders(headers) {
+    return Object.fromEntries(Object.keys(headers || {}).map(name => [name, '***']));
+}
+
 /**
  * Get proxy health status
  * @returns {Object} Health metrics
  */
 function getHealthStatus() {
+    const hits = cacheStats.hits + cacheStats.diskHits;
+    const lookups = hits + cacheStats.misses + cacheStats.coalesced;
+
     return {
         cacheSize: currentCacheSize,
         cacheEntries: segmentCache.size,
-        cacheMaxSize: CACHE_MAX_SIZE
+        cacheMaxSize: CACHE_MAX_SIZE,
+        cacheHits: cacheStats.hits,
+        cacheDiskHits: cacheStats.diskHits,
+        cacheMisses: cacheStats.misses,
+        cacheCoalesced: cacheStats.coalesced,
+        cacheEvictions: cacheStats.evictions,
+        cacheExpirations: cacheStats.expirations,
+        cacheHitRate: lookups > 0 ? Number((hits / lookups).toFixed(3)) : 0,
+        diskCache: diskCache ? diskCache.getStats() : null,
+        manifestCacheEntries: manifestCache.size,
+        inflightSegments: inflightSegments.size,
+        inflightManifests: inflightManifests.size,
+        upstream: getUpstreamStats()
     };
 }
 
 module.exports = {
     proxyManifest,
     proxySegment,
+    proxyPart,
     proxyKey,
     getHealthStatus,
-    maskUrl
+    rewriteManifestUrls,
+    forgetStream,
+    maskUrl,
+    maskHeaders
 };
@@ -0,0 +1,303 @@
+const { createMemoryStore } = require('../store');
+const jwt = require('jsonwebtoken');
+const { getViewerContext } = require('../accessRules');
+const {
+    useStore, generateToken, getStream, decryptStreamOrigins, validateToken, refreshToken, revokeToken, tokenConfig,
+    issueViewerToken, listStreamTokens, registerViewer, removeViewer, countViewers, countPublisherViewers, updateStream,
+    stopStream, cleanupExpiredStreams, countPublisherStreams
+} = require('../auth');
+
+describe('generateToken', () => {
+    let store;
+
+    beforeEach(() => {
+        store = createMemoryStore();
+        useStore(store);
+    });
+
+    test('persists stream origins only encrypted', async () => {
+        const originalUrl = 'https://origin.example.com/live/index.m3u8?token=secret';
+        const backupUrl = 'https://backup.example.com/live/index.m3u8';
+        const { streamId } = await generateToken({ originalUrl, backupUrls: [backupUrl] });
+
+        const persisted = JSON.stringify(store.toJSON());
+        expect(persisted).not.toContain('origin.example.com');
+        expect(persisted).not.toContain('backup.example.com');
+
+        expect(decryptStreamOrigins(await getStream(streamId))).toEqual([originalUrl, backupUrl]);
+    });
+});
+
+describe('token records', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore());
+    });
+
+    test('concurrent changes to a stream\'s tokens are all kept', async () => {
+        const { token, streamId } = await generateToken({ originalUrl: 'https://origin.example.com/live/index.m3u8' });
+        const { jti } = jwt.decode(token);
+
+        const [refreshed] = await Promise.allSettled([
+            refreshToken(token),
+            revokeToken(streamId, jti),
+            ...Array.from({ length: 4 }, () => issueViewerToken(streamId, { label: 'extra' }))
+        ]);
+
+        const records = await listStreamTokens(streamId);
+        expect(records).toHaveLength(5);
+        expect(records.find(record => record.jti === jti).revokedAt).toBeInstanceOf(Date);
+        if (refreshed.status === 'fulfilled') {
+            expect((await validateToken(refreshed.value.token)).valid).toBe(false);
+        }
+    });
+});
+
+describe('cleanupExpiredStreams', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore());
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('keeps stopped streams until they expire, so they can be resumed', async () => {
+        const originalUrl = 'https://origin.example.com/live/index.m3u8';
+        const stopped = await generateToken({ originalUrl, expiryMinutes: 240 });
+        const expired = await generateToken({ originalUrl, expiryMinutes: 1 });
+        await stopStream(stopped.streamId);
+
+        jest.useFakeTimers({ now: Date.now() + 2 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+        expect(await cleanupExpiredStreams()).toBe(1);
+        expect(await getStream(expired.streamId)).toBeNull();
+
+        await updateStream(stopped.streamId, { isActive: true });
+        expect((await validateToken(stopped.token)).valid).toBe(true);
+    });
+});
+
+describe('publisher stream quota', () => {
+    const originalUrl = 'https://origin.example.com/live/index.m3u8';
+    const options = { maxPublisherStreams: 2 };
+
+    beforeEach(() => {
+        useStore(createMemoryStore());
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('concurrent links never exceed the quota', async () => {
+        const results = await Promise.allSettled(Array.from({ length: 6 }, () =>
+            generateToken({ originalUrl, createdBy: 'publisher-1' }, options)
+        ));
+
+        expect(results.filter(result => result.status === 'fulfilled').length).toBeLessThanOrEqual(2);
+        await generateToken({ originalUrl, createdBy: 'publisher-1' }, options).catch(() => null);
+        expect(await countPublisherStreams('publisher-1')).toBe(2);
+        await expect(generateToken({ originalUrl, createdBy: 'publisher-1' }, options))
+            .rejects.toMatchObject({ status: 429, message: 'Active stream quota reached (2)' });
+    });
+
+    test('stopping, resuming and expiring streams move the counter once each', async () => {
+        const first = await generateToken({ originalUrl, createdBy: 'publisher-1', expiryMinutes: 240 }, options);
+        const second = await generateToken({ originalUrl, createdBy: 'publisher-1', expiryMinutes: 1 }, options);
+
+        await Promise.all([stopStream(first.streamId), stopStream(first.streamId), updateStream(first.streamId, { isActive: false })]);
+        expect(await countPublisherStreams('publisher-1')).toBe(1);
+
+        await generateToken({ originalUrl, createdBy: 'publisher-1' }, options);
+        await expect(updateStream(first.streamId, { isActive: true }, options)).rejects.toMatchObject({ status: 429 });
+        expect((await getStream(first.streamId)).isActive).toBe(false);
+        expect(await countPublisherStreams('publisher-1')).toBe(2);
+
+        jest.useFakeTimers({ now: Date.now() + 2 * 60 * 1000, doNotFake: ['nextTick', 'setImmediate'] });
+        await Promise.all([cleanupExpiredStreams(), cleanupExpiredStreams()]);
+        expect(await getStream(second.streamId)).toBeNull();
+        expect(await countPublisherStreams('publisher-1')).toBe(1);
+
+        await updateStream(first.streamId, { isActive: true }, options);
+        await updateStream(first.streamId, { isActive: true }, options);
+        expect(await countPublisherStreams('publisher-1')).toBe(2);
+    });
+});
+
+describe('token lifetime', () => {
+    const windowMs = tokenConfig.stream.tokenRefreshWindowMinutes * 60 * 1000;
+
+    beforeEach(() => {
+        useStore(createMemoryStore());
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('tokens are signed for one refresh window and renewed by refresh', async () => {
+        const { token, expiresAt } = await generateToken({
+            originalUrl: 'https://origin.example.com/live/index.m3u8',
+            expiryMinutes: 240
+        });
+        const { exp } = jwt.decode(token);
+        expect(exp * 1000).toBeLessThanOrEqual(Date.now() + windowMs);
+        expect(exp * 1000).toBeLessThan(expiresAt.getTime());
+
+        const refreshed = await refreshToken(token);
+        expect(refreshed.expiresAt.getTime()).toBeGreaterThan(Date.now() + windowMs - 5000);
+        expect((await validateToken(refreshed.token)).valid).toBe(true);
+    });
+
+    test('tokens can be refreshed right after they are issued', async () => {
+        const { token } = await generateToken({ originalUrl: 'https://origin.example.com/live/index.m3u8' });
+
+        const refreshed = await refreshToken(token);
+        expect(jwt.decode(refreshed.token).jti).toBe(jwt.decode(token).jti);
+        expect(Object.keys(refreshed)).toEqual(['token', 'expiresAt']);
+    });
+
+    test('expired tokens are refused and cannot be refreshed', async () => {
+        const { token } = await generateToken({ originalUrl: 'https://origin.example.com/live/index.m3u8' });
+
+        jest.useFakeTimers({ now: Date.now() + windowMs + 1000, doNotFake: ['nextTick', 'setImmediate'] });
+        expect(await validateToken(token)).toMatchObject({ valid: false, status: 401, error: 'Token has expired' });
+        await expect(refreshToken(token)).rejects.toMatchObject({ status: 401 });
+    });
+
+    test('tokens never outlive the stream', async () => {
+        const { token, expiresAt } = await generateToken({
+            originalUrl: 'https://origin.example.com/live/index.m3u8',
+            expiryMinutes: 1
+        });
+        expect(jwt.decode(token).exp).toBe(Math.floor(expiresAt.getTime() / 1000));
+    });
+});
+
+describe('viewer sessions', () => {
+    let streamId;
+
+    beforeEach(async () => {
+        useStore(createMemoryStore());
+        ({ streamId } = await generateToken({ originalUrl: 'https://origin.example.com/live/index.m3u8' }));
+    });
+
+    // Outcomes of concurrent joins
+    async function joinAll(count, jti = null) {
+        const results = await Promise.allSettled(
+            Array.from({ length: count }, (_, index) => registerViewer(streamId, `session-${index}`, jti))
+        );
+        return results.filter(result => result.status === 'fulfilled').length;
+    }
+
+    test('concurrent joins never exceed the viewer limit', async () => {
+        await updateStream(streamId, { maxViewers: 2 });
+
+        expect(await joinAll(6)).toBeLessThanOrEqual(2);
+        expect(await countViewers(streamId)).toBeLessThanOrEqual(2);
+
+        // Refused joins leave nothing behind: later joins fill the limit exactly
+        for (const sessionId of ['late-1', 'late-2', 'late-3']) {
+            await registerViewer(streamId, sessionId).catch(() => null);
+        }
+        expect(await countViewers(streamId)).toBe(2);
+        await expect(registerViewer(streamId, 'late-4'))
+            .rejects.toMatchObject({ status: 403, message: 'Maximum viewer limit reached' });
+    });
+
+    test('concurrent joins never exceed a token\'s max uses', async () => {
+        const { jti } = await issueViewerToken(streamId, { maxUses: 2 });
+
+        expect(await joinAll(6, jti)).toBe(2);
+        expect(await countViewers(streamId)).toBe(2);
+        expect((await listStreamTokens(streamId)).find(record => record.jti === jti).uses).toBe(2);
+    });
+
+    test('the publisher viewer quota holds across the publisher\'s streams', async () => {
+        const originalUrl = 'https://origin.example.com/live/index.m3u8';
+        const streams = await Promise.all([1, 2].map(() => generateToken({ originalUrl, createdBy: 'publisher-1' })));
+        const options = { maxPublisherViewers: 3 };
+
+        const results = await Promise.allSettled(Array.from({ length: 8 }, (_, index) =>
+            registerViewer(streams[index % 2].streamId, `viewer-${index}`, null, options)
+        ));
+        expect(results.filter(result => result.status === 'fulfilled').length).toBeLessThanOrEqual(3);
+
+        for (const index of [10, 11, 12, 13]) {
+            await registerViewer(streams[index % 2].streamId, `viewer-${index}`, null, options).catch(() => null);
+        }
+        expect(await countPublisherViewers('publisher-1')).toBe(3);
+        await expect(registerViewer(streams[0].streamId, 'viewer-14', null, options))
+            .rejects.toMatchObject({ status: 403, message: 'Maximum viewer limit reached' });
+
+        await removeViewer('viewer-10');
+        expect(await countPublisherViewers('publisher-1')).toBe(2);
+    });
+
+    test('a session re-joining with its own ID does not use the token again', async () => {
+        const { jti } = await issueViewerToken(streamId, { maxUses: 1 });
+
+        await registerViewer(streamId, 'session-a', jti);
+        await removeViewer('session-a');
+        await registerViewer(streamId, 'session-a', jti);
+        await expect(registerViewer(streamId, 'session-b', jti)).rejects.toMatchObject({ status: 403 });
+        expect(await countViewers(streamId)).toBe(1);
+    });
+
+    test('tokens with a usage limit only play with a session joined with them', async () => {
+        const { token, jti } = await issueViewerToken(streamId, { maxUses: 1 });
+        const options = { requireSession: true, sessionId: 'session-a' };
+
+        expect(await validateToken(token, options)).toMatchObject({ valid: false, status: 403 });
+        await registerViewer(streamId, 'session-a', jti);
+        expect((await validateToken(token, options)).valid).toBe(true);
+        expect(await validateToken(token, { ...options, sessionId: 'session-b' })).toMatchObject({ valid: false, status: 403 });
+
+        await removeViewer('session-a');
+        expect(await validateToken(token, options)).toMatchObject({ valid: false, status: 403 });
+    });
+});
+
+describe('access rules', () => {
+    beforeEach(() => {
+        useStore(createMemoryStore());
+    });
+
+    // Express request stand-in for a page on the player's host
+    function request(headers) {
+        return { ip: '203.0.113.7', hostname: 'streams.example.net', get: name => headers[name] };
+    }
+
+    test('the reported embedding page is only trusted from the player\'s own host', () => {
+        const embedder = 'https://www.example.com/watch';
+
+        expect(getViewerContext(request({ origin: 'https://streams.example.net' }), embedder))
+            .toEqual({ ip: '203.0.113.7', origin: null, referer: embedder });
+        expect(getViewerContext(request({ referer: 'https://streams.example.net/player.html' }), embedder).referer)
+            .toBe(embedder);
+
+        expect(getViewerContext(request({}), embedder)).toEqual({ ip: '203.0.113.7', origin: undefined, referer: undefined });
+        expect(getViewerContext(request({ origin: 'https://evil.example.org' }), embedder).origin)
+            .toBe('https://evil.example.org');
+    });
+
+    test('referrer rules are checked at join and carried by the viewer session', async () => {
+        const { token, streamId } = await generateToken({
+            originalUrl: 'https://origin.example.com/live/index.m3u8',
+            accessRules: { allowedReferrers: ['www.example.com'], allowedCidrs: ['203.0.113.0/24'] }
+        });
+        const embedded = { ip: '203.0.113.7', origin: null, referer: 'https://www.example.com/watch' };
+        const player = { ip: '203.0.113.7', origin: 'https://streams.example.net' };
+
+        expect((await validateToken(token, { viewer: embedded })).valid).toBe(true);
+        expect(await validateToken(token, { viewer: player })).toMatchObject({ valid: false, status: 403 });
+        expect(await validateToken(token, { viewer: player, sessionId: 'session-a' }))
+            .toMatchObject({ valid: false, status: 403 });
+
+        await registerViewer(streamId, 'session-a', jwt.decode(token).jti);
+        expect((await validateToken(token, { viewer: player, sessionId: 'session-a' })).valid).toBe(true);
+
+        // Network rules still apply to every request of a joined session
+        expect(await validateToken(token, { viewer: { ...player, ip: '198.51.100.7' }, sessionId: 'session-a' }))
+            .toMatchObject({ valid: false, status: 403 });
+    });
+});
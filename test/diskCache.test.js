@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDiskCache } = require('../diskCache');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'disk-cache-test-'));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function meta(overrides = {}) {
+    return { contentType: 'video/mp2t', etag: '"seg"', expiresAt: Date.now() + 60000, ...overrides };
+}
+
+function entryFiles() {
+    return fs.readdirSync(dir).map(name => path.join(dir, name));
+}
+
+describe('disk cache', () => {
+    test('stores segments with their metadata and reads them back after a restart', async () => {
+        const cache = createDiskCache({ dir, maxBytes: 10000 });
+        const data = Buffer.from('segment data');
+        await cache.set('seg1', data, meta());
+
+        expect(await cache.get('seg1')).toEqual({ data, ...meta({ expiresAt: expect.any(Number) }) });
+        expect(await cache.get('seg2')).toBeNull();
+        expect(cache.getStats()).toMatchObject({ entries: 1, hits: 1, misses: 1 });
+
+        const restarted = createDiskCache({ dir, maxBytes: 10000 });
+        expect((await restarted.get('seg1')).data).toEqual(data);
+    });
+
+    test('treats expired entries as misses and drops them on restart', async () => {
+        const cache = createDiskCache({ dir, maxBytes: 10000 });
+        await cache.set('live', Buffer.from('live'), meta());
+        await cache.set('stale', Buffer.from('stale'), meta({ expiresAt: Date.now() - 1 }));
+
+        expect(await cache.get('stale')).toBeNull();
+        expect(entryFiles()).toHaveLength(1);
+
+        await cache.set('stale', Buffer.from('stale'), meta({ expiresAt: Date.now() - 1 }));
+        const restarted = createDiskCache({ dir, maxBytes: 10000 });
+        await restarted.ready;
+        expect(restarted.getStats().entries).toBe(1);
+        expect(entryFiles()).toHaveLength(1);
+    });
+
+    test('evicts the least recently used entries to stay within its budget', async () => {
+        const cache = createDiskCache({ dir, maxBytes: 1000 });
+        const data = Buffer.alloc(200);
+        await cache.set('a', data, meta());
+        await cache.set('b', data, meta());
+        await cache.set('c', data, meta());
+
+        // Reading `a` makes `b` the oldest entry
+        await cache.get('a');
+        await cache.set('d', data, meta());
+
+        expect(await cache.get('b')).toBeNull();
+        for (const key of ['a', 'c', 'd']) {
+            expect(await cache.get(key)).not.toBeNull();
+        }
+        expect(cache.getStats().evictions).toBe(1);
+        expect(cache.getStats().size).toBeLessThanOrEqual(1000);
+        expect(entryFiles()).toHaveLength(3);
+
+        // Larger than the whole budget: never stored
+        await cache.set('huge', Buffer.alloc(2000), meta());
+        expect(await cache.get('huge')).toBeNull();
+        expect(cache.getStats().entries).toBe(3);
+    });
+
+    test('discards corrupt entries and leftover temp files on restart', async () => {
+        const cache = createDiskCache({ dir, maxBytes: 10000 });
+        await cache.set('seg1', Buffer.from('segment'), meta());
+        await cache.set('seg2', Buffer.from('segment'), meta());
+
+        const [corrupt] = entryFiles();
+        fs.writeFileSync(corrupt, Buffer.from([0, 0, 0, 20, 123, 34]));
+        fs.writeFileSync(path.join(dir, 'interrupted.seg.1234.tmp'), 'partial');
+
+        const restarted = createDiskCache({ dir, maxBytes: 10000 });
+        await restarted.ready;
+
+        expect(restarted.getStats().entries).toBe(1);
+        expect(entryFiles()).toHaveLength(1);
+    });
+
+    test('reports a failed write as a miss instead of an error', async () => {
+        const cache = createDiskCache({ dir, maxBytes: 10000 });
+        await cache.ready;
+        jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' }));
+
+        await cache.set('seg1', Buffer.from('segment'), meta());
+
+        expect(await cache.get('seg1')).toBeNull();
+        expect(cache.getStats()).toMatchObject({ entries: 0, writeErrors: 1 });
+        expect(entryFiles()).toHaveLength(0);
+    });
+});
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { signEdDSA, verifyEdDSA } = require('../eddsaJwt');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+const now = () => Math.floor(Date.now() / 1000);
+
+function claims(overrides = {}) {
+    return { iss: 'https://live.example.com', aud: 'viewers', sub: 'viewer-1', exp: now() + 60, ...overrides };
+}
+
+describe('EdDSA JWT', () => {
+    test('signs tokens that verify with the public key', () => {
+        const token = signEdDSA(claims(), privateKey, 'ed-1');
+
+        expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'EdDSA', typ: 'JWT', kid: 'ed-1' });
+        expect(verifyEdDSA(token, publicKey, { issuer: 'https://live.example.com', audience: 'viewers' }))
+            .toMatchObject({ sub: 'viewer-1' });
+    });
+
+    test('refuses tampered tokens, other keys and other algorithms', () => {
+        const token = signEdDSA(claims(), privateKey);
+        const [header, , signature] = token.split('.');
+        const forged = `${header}.${Buffer.from(JSON.stringify(claims({ sub: 'admin' }))).toString('base64url')}.${signature}`;
+        const other = crypto.generateKeyPairSync('ed25519').publicKey;
+        const hmac = jwt.sign(claims(), 'shared-secret', { algorithm: 'HS256' });
+
+        expect(() => verifyEdDSA(forged, publicKey)).toThrow('invalid signature');
+        expect(() => verifyEdDSA(token, other)).toThrow('invalid signature');
+        expect(() => verifyEdDSA(hmac, publicKey)).toThrow('jwt malformed');
+        expect(() => verifyEdDSA('not-a-token', publicKey)).toThrow('jwt malformed');
+    });
+
+    test('checks expiry, not-before, issuer and audience', () => {
+        const verify = (overrides, options) => () => verifyEdDSA(signEdDSA(claims(overrides), privateKey), publicKey, options);
+
+        expect(verify({ exp: now() - 10 })).toThrow('jwt expired');
+        expect(verify({ exp: now() - 10 }, { clockTolerance: 30 })).not.toThrow();
+        expect(verify({ exp: now() - 10 }, { ignoreExpiration: true })).not.toThrow();
+        expect(verify({ nbf: now() + 60 })).toThrow('jwt not active');
+        expect(verify({}, { issuer: 'https://other.example.com' })).toThrow('jwt issuer invalid');
+        expect(verify({}, { audience: 'admins' })).toThrow('jwt audience invalid');
+        expect(verify({ aud: ['admins', 'viewers'] }, { audience: 'viewers' })).not.toThrow();
+    });
+});
@@ -0,0 +1,90 @@
+const { EventEmitter } = require('events');
+
+// Redis pub/sub stand-in: every subscribed client receives every message
+function createHub() {
+    const hub = new EventEmitter();
+    return {
+        client() {
+            const client = new EventEmitter();
+            client.publish = async (channel, message) => {
+                hub.emit('message', channel, message);
+            };
+            client.subscribe = async (channel) => {
+                hub.on('message', (messageChannel, message) => client.emit('message', messageChannel, message));
+                return channel;
+            };
+            client.quit = async () => 'OK';
+            return client;
+        }
+    };
+}
+
+// A fresh copy of events.js, as loaded by one server instance
+function startInstance(hub) {
+    let events;
+    jest.isolateModules(() => {
+        events = require('../events');
+    });
+    if (hub) {
+        events.useEventTransport(events.createRedisEventTransport({
+            channel: 'test:stream-events',
+            publisher: hub.client(),
+            subscriber: hub.client()
+        }));
+    }
+    return events;
+}
+
+describe('stream events', () => {
+    test('stay within the process without a transport', () => {
+        const first = startInstance();
+        const second = startInstance();
+        const received = [];
+        first.subscribeStreamEvents('stream-1', (event, data) => received.push(['first', event, data]));
+        second.subscribeStreamEvents('stream-1', (event, data) => received.push(['second', event, data]));
+
+        first.publishStreamEvent('stream-1', 'stopped', { stoppedAt: 1 });
+
+        expect(received).toEqual([['first', 'stopped', { stoppedAt: 1 }]]);
+    });
+
+    test('reach the subscribers of every instance through the Redis transport', async () => {
+        const hub = createHub();
+        const first = startInstance(hub);
+        const second = startInstance(hub);
+        const received = [];
+        first.subscribeStreamEvents('stream-1', (event, data) => received.push(['first', event, data]));
+        second.subscribeStreamEvents('stream-1', (event, data) => received.push(['second', event, data]));
+        second.subscribeStreamEvents('stream-2', (event, data) => received.push(['other stream', event, data]));
+
+        first.publishStreamEvent('stream-1', 'message', { text: 'Back in five minutes', level: 'info' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(received).toEqual([
+            ['first', 'message', { text: 'Back in five minutes', level: 'info' }],
+            ['second', 'message', { text: 'Back in five minutes', level: 'info' }]
+        ]);
+        expect(first.countSubscribers('stream-1')).toBe(1);
+
+        first.closeStreamEvents();
+        second.closeStreamEvents();
+    });
+
+    test('still reach local subscribers when publishing fails', async () => {
+        const hub = createHub();
+        const publisher = hub.client();
+        publisher.publish = async () => {
+            throw new Error('Connection is closed.');
+        };
+        const events = startInstance();
+        events.useEventTransport(events.createRedisEventTransport({ publisher, subscriber: hub.client() }));
+        const received = [];
+        events.subscribeStreamEvents('stream-1', (event) => received.push(event));
+
+        events.publishStreamEvent('stream-1', 'updated', { isActive: true });
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(received).toEqual(['updated']);
+        events.closeStreamEvents();
+    });
+});
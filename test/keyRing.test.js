@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createKeyRing } = require('../keyRing');
+
+const STRONG = 'a-strong-signing-secret-0123456789-abcdef';
+const OLDER = 'an-older-signing-secret-0123456789-abcdef';
+
+describe('createKeyRing', () => {
+    test('signs with the first key and still verifies with the ones after it', () => {
+        const before = createKeyRing({ signingKeys: `2026-04:${OLDER}` });
+        const oldToken = jwt.sign({ sub: 'viewer' }, before.getSigningKey().secret, {
+            algorithm: 'HS256',
+            keyid: before.getSigningKey().kid
+        });
+
+        const rotated = createKeyRing({ signingKeys: `2026-10:${STRONG},2026-04:${OLDER}` });
+        expect(rotated.getSigningKey().kid).toBe('2026-10');
+        expect(rotated.listSigningKeys().map(key => key.kid)).toEqual(['2026-10', '2026-04']);
+
+        const { kid } = jwt.decode(oldToken, { complete: true }).header;
+        expect(jwt.verify(oldToken, rotated.findSigningKey(kid).secret, { algorithms: ['HS256'] }).sub).toBe('viewer');
+        expect(rotated.findSigningKey('2025-10')).toBeNull();
+    });
+
+    test('derives a separate encryption key per signing key', () => {
+        const ring = createKeyRing({ signingKeys: `2026-10:${STRONG},2026-04:${OLDER}` });
+
+        expect(ring.listEncryptionKeys().map(key => key.kid)).toEqual(['2026-10', '2026-04']);
+        expect(ring.getEncryptionKey().secret).not.toBe(STRONG);
+        expect(ring.findEncryptionKey('2026-04').secret).not.toBe(ring.getEncryptionKey().secret);
+    });
+
+    test('publishes only asymmetric keys in the JWKS', () => {
+        const { privateKey } = crypto.generateKeyPairSync('ed25519');
+        const pem = privateKey.export({ format: 'pem', type: 'pkcs8' });
+        const ring = createKeyRing({
+            file: { keys: { signing: [{ kid: 'ed', privateKey: pem }, { kid: 'hmac', secret: STRONG }] } }
+        });
+
+        expect(ring.getSigningKey()).toMatchObject({ kid: 'ed', algorithm: 'EdDSA' });
+        expect(ring.getJwks().keys).toEqual([expect.objectContaining({ kid: 'ed', alg: 'EdDSA', kty: 'OKP', use: 'sig' })]);
+        expect(ring.getJwks().keys[0].d).toBeUndefined();
+    });
+
+    test('refuses malformed key lists', () => {
+        expect(() => createKeyRing({ signingKeys: STRONG })).toThrow('expected "kid:secret"');
+        expect(() => createKeyRing({ signingKeys: `bad kid:${STRONG}` })).toThrow('Invalid key ID');
+        expect(() => createKeyRing({ signingKeys: `a:${STRONG},a:${OLDER}` })).toThrow('Duplicate key ID in JWT_SIGNING_KEYS');
+    });
+
+    test('refuses the built-in default and short active keys in production only', () => {
+        expect(() => createKeyRing({ production: true })).toThrow('The active signing key');
+        expect(() => createKeyRing({ signingSecret: 'short', production: true })).toThrow('is shorter than 32 characters');
+        expect(() => createKeyRing({ signingSecret: 'fallback-secret-min-32-characters-long', production: true }))
+            .toThrow('is a published default');
+
+        expect(createKeyRing().getSigningKey().algorithm).toBe('HS256');
+        expect(createKeyRing({ signingSecret: STRONG, production: true }).getSigningKey().secret).toBe(STRONG);
+    });
+
+    test('refuses a weak retired signing key in production', () => {
+        const signingKeys = `new:${STRONG},old:short-secret`;
+
+        expect(() => createKeyRing({ signingKeys, production: true }))
+            .toThrow('The retired signing key old (JWT_SIGNING_KEYS) is shorter than 32 characters');
+        expect(createKeyRing({ signingKeys }).findSigningKey('old')).toMatchObject({ kid: 'old' });
+    });
+
+    test('refuses a published default retired encryption key in production', () => {
+        const options = {
+            signingSecret: STRONG,
+            encryptionKeys: `new:${STRONG}-encryption,old:fallback-secret-min-32-characters-long`,
+            production: true
+        };
+
+        expect(() => createKeyRing(options)).toThrow('The retired encryption key old (URL_ENCRYPTION_KEYS) is a published default');
+    });
+});
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { serialize, deserialize, createMemoryStore, createFileStore, createRedisStore } = require('../store');
+
+// Minimal ioredis stand-in: hashes of strings
+function createRedisStandIn() {
+    const hashes = new Map();
+    const hash = key => {
+        if (!hashes.has(key)) {
+            hashes.set(key, new Map());
+        }
+        return hashes.get(key);
+    };
+
+    return {
+        hashes,
+        quit: jest.fn(async () => 'OK'),
+        async hget(key, field) {
+            return hash(key).has(field) ? hash(key).get(field) : null;
+        },
+        async hset(key, field, value) {
+            const created = !hash(key).has(field);
+            hash(key).set(field, String(value));
+            return created ? 1 : 0;
+        },
+        async hdel(key, field) {
+            return hash(key).delete(field) ? 1 : 0;
+        },
+        async hvals(key) {
+            return Array.from(hash(key).values());
+        },
+        async hlen(key) {
+            return hash(key).size;
+        },
+        async hincrby(key, field, by) {
+            const value = Number(hash(key).get(field) || 0) + by;
+            hash(key).set(field, String(value));
+            return value;
+        },
+        async del(key) {
+            return hashes.delete(key) ? 1 : 0;
+        },
+        // The store's only script: compare-and-set of a hash field
+        async eval(script, numKeys, key, field, expected, value) {
+            if ((hash(key).get(field) || '') !== expected) {
+                return 0;
+            }
+            hash(key).set(field, value);
+            return 1;
+        }
+    };
+}
+
+// Concurrent updates that each add one entry to the same record
+async function addEntries(store, count) {
+    await store.set('streams', 'a', { tokens: {} });
+    await Promise.all(Array.from({ length: count }, (_, index) => store.update('streams', 'a', (current) => {
+        current.tokens[`t${index}`] = { index };
+        return current;
+    })));
+    return Object.keys((await store.get('streams', 'a')).tokens).length;
+}
+
+describe('serialize / deserialize', () => {
+    test('round-trips Date instances, nested and in arrays', () => {
+        const record = {
+            createdAt: new Date('2026-10-19T10:00:00.000Z'),
+            tokens: { a: { expiresAt: new Date('2026-10-19T12:00:00.000Z'), uses: 2 } },
+            history: [new Date(0), 'text', null],
+            revokedAt: null
+        };
+
+        const restored = deserialize(serialize(record));
+
+        expect(restored).toEqual(record);
+        expect(restored.createdAt).toBeInstanceOf(Date);
+        expect(restored.tokens.a.expiresAt).toBeInstanceOf(Date);
+        expect(restored.history[0]).toBeInstanceOf(Date);
+    });
+
+    test('stores dates as { $date } objects', () => {
+        expect(JSON.parse(serialize({ at: new Date('2026-01-01T00:00:00.000Z') })))
+            .toEqual({ at: { $date: '2026-01-01T00:00:00.000Z' } });
+    });
+
+    test('returns null for missing records', () => {
+        expect(deserialize(null)).toBeNull();
+        expect(deserialize(undefined)).toBeNull();
+    });
+});
+
+describe('memory driver', () => {
+    test('increments counters atomically and clears collections', async () => {
+        const store = createMemoryStore();
+
+        const values = await Promise.all(Array.from({ length: 10 }, () => store.increment('uses', 'a')));
+        expect(values.sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        expect(await store.increment('uses', 'a', -3)).toBe(7);
+        expect(await store.get('uses', 'a')).toBe(7);
+
+        await store.clear('uses');
+        expect(await store.count('uses')).toBe(0);
+        expect(await store.get('uses', 'a')).toBeNull();
+    });
+
+    test('updates records atomically', async () => {
+        const store = createMemoryStore();
+
+        expect(await addEntries(store, 10)).toBe(10);
+        expect(await store.update('streams', 'missing', () => undefined)).toBeNull();
+        expect(await store.count('streams')).toBe(1);
+    });
+});
+
+describe('file driver', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('coalesces concurrent writes into few atomic snapshots', async () => {
+        const filePath = path.join(dir, 'store.json');
+        const store = createFileStore({ filePath });
+        const writeFile = jest.spyOn(fs.promises, 'writeFile');
+        const rename = jest.spyOn(fs.promises, 'rename');
+
+        await Promise.all(Array.from({ length: 50 }, (_, index) =>
+            store.set('streams', `s${index}`, { index, createdAt: new Date(index) })
+        ));
+        await store.close();
+
+        // One write running and at most one queued behind it
+        expect(writeFile.mock.calls.length).toBeLessThanOrEqual(2);
+        // Every snapshot goes to a temp file first, then replaces the snapshot
+        for (const [tmpPath] of writeFile.mock.calls) {
+            expect(tmpPath).not.toBe(filePath);
+            expect(rename).toHaveBeenCalledWith(tmpPath, filePath);
+        }
+        expect(fs.readdirSync(dir)).toEqual(['store.json']);
+
+        const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        expect(Object.keys(snapshot.streams)).toHaveLength(50);
+    });
+
+    test('reloads records from the snapshot', async () => {
+        const filePath = path.join(dir, 'store.json');
+        const store = createFileStore({ filePath });
+        await store.set('streams', 'a', { createdAt: new Date('2026-10-19T10:00:00.000Z') });
+        await store.set('streams', 'b', { createdAt: new Date(0) });
+        await store.delete('streams', 'b');
+        await store.close();
+
+        const reloaded = createFileStore({ filePath });
+        expect(await reloaded.count('streams')).toBe(1);
+        expect((await reloaded.get('streams', 'a')).createdAt).toEqual(new Date('2026-10-19T10:00:00.000Z'));
+        await reloaded.close();
+    });
+
+    test('a failed write does not break later writes', async () => {
+        const filePath = path.join(dir, 'store.json');
+        const store = createFileStore({ filePath });
+        jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('disk full'));
+
+        await store.set('streams', 'a', { n: 1 });
+        await store.set('streams', 'a', { n: 2 });
+        await store.close();
+
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).streams.a).toBe(JSON.stringify({ n: 2 }));
+    });
+});
+
+describe('redis driver', () => {
+    test('keeps one hash per collection under the key prefix', async () => {
+        const client = createRedisStandIn();
+        const store = createRedisStore({ client, keyPrefix: 'test:' });
+
+        await store.set('streams', 'a', { createdAt: new Date('2026-10-19T10:00:00.000Z'), isActive: true });
+        await store.set('sessions', 'x', { streamId: 'a' });
+
+        expect([...client.hashes.keys()].sort()).toEqual(['test:sessions', 'test:streams']);
+        expect(await store.get('streams', 'a')).toEqual({ createdAt: new Date('2026-10-19T10:00:00.000Z'), isActive: true });
+        expect(await store.get('streams', 'missing')).toBeNull();
+        expect(await store.count('streams')).toBe(1);
+        expect(await store.list('sessions')).toEqual([{ streamId: 'a' }]);
+    });
+
+    test('deletes records and closes the client', async () => {
+        const client = createRedisStandIn();
+        const store = createRedisStore({ client });
+
+        await store.set('streams', 'a', { n: 1 });
+        expect(await store.delete('streams', 'a')).toBe(true);
+        expect(await store.delete('streams', 'a')).toBe(false);
+        expect(client.hashes.get('lsp:streams').size).toBe(0);
+
+        await store.close();
+        expect(client.quit).toHaveBeenCalled();
+    });
+
+    test('increments counters with HINCRBY and clears a collection with DEL', async () => {
+        const client = createRedisStandIn();
+        const store = createRedisStore({ client });
+
+        expect(await store.increment('uses', 'a')).toBe(1);
+        expect(await store.increment('uses', 'a', 2)).toBe(3);
+        expect(await store.get('uses', 'a')).toBe(3);
+
+        await store.clear('uses');
+        expect(client.hashes.has('lsp:uses')).toBe(false);
+    });
+
+    test('updates records with compare-and-set, retrying lost races', async () => {
+        const client = createRedisStandIn();
+        const store = createRedisStore({ client });
+        const evalSpy = jest.spyOn(client, 'eval');
+
+        expect(await addEntries(store, 5)).toBe(5);
+        expect(evalSpy.mock.calls.length).toBeGreaterThan(5);
+
+        await expect(store.update('streams', 'a', () => {
+            throw new Error('refused');
+        })).rejects.toThrow('refused');
+        expect(Object.keys((await store.get('streams', 'a')).tokens)).toHaveLength(5);
+    });
+});
@@ -0,0 +1,295 @@
+// The test origin listens on localhost
+process.env.UPSTREAM_ALLOW_PRIVATE = 'true';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+const { rewriteManifestUrls, proxySegment } = require('../streamProxy');
+const { openProxyUrl, signProxyUrl } = require('../urlSigner');
+const { generateToken, getStream } = require('../auth');
+
+const PROXY_BASE_URL = 'https://watch.example.org/proxy';
+const access = { token: 'viewer.jwt.token', streamId: 'stream-1' };
+
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+function rewrite(name, baseUrl) {
+    return rewriteManifestUrls(fixture(name), baseUrl, PROXY_BASE_URL, access);
+}
+
+// Route and upstream URL of a rewritten URI
+function openProxied(uri) {
+    const proxied = new URL(uri);
+    expect(proxied.origin + path.posix.dirname(proxied.pathname)).toBe(PROXY_BASE_URL);
+    return {
+        route: path.posix.basename(proxied.pathname),
+        target: openProxyUrl(proxied.searchParams.get('url'), access.streamId)
+    };
+}
+
+// URI="..." attribute of the first line starting with a tag
+function tagUri(manifest, tag) {
+    const line = manifest.split('\n').find(entry => entry.startsWith(`${tag}:`));
+    expect(line).toBeDefined();
+    return /URI="([^"]+)"/.exec(line)[1];
+}
+
+function uriLines(manifest) {
+    return manifest.split('\n').filter(line => line && !line.startsWith('#'));
+}
+
+describe('rewriteManifestUrls', () => {
+    test('master playlist: variants, renditions, I-frame streams and session keys', () => {
+        const manifest = rewrite('master.m3u8', 'https://origin.example.com/live/master.m3u8');
+
+        expect(uriLines(manifest).map(openProxied)).toEqual([
+            { route: 'manifest', target: 'https://origin.example.com/live/low/index.m3u8' },
+            { route: 'manifest', target: 'https://origin.example.com/live/high/index.m3u8?quality=hd' }
+        ]);
+
+        const media = manifest.split('\n').filter(line => line.startsWith('#EXT-X-MEDIA:'));
+        expect(media.map(line => openProxied(/URI="([^"]+)"/.exec(line)[1]))).toEqual(expect.arrayContaining([
+            { route: 'manifest', target: 'https://origin.example.com/live/audio/en/index.m3u8' },
+            { route: 'manifest', target: 'https://subs.example.com/en/index.m3u8' }
+        ]));
+        expect(openProxied(tagUri(manifest, '#EXT-X-I-FRAME-STREAM-INF'))).toEqual({
+            route: 'manifest',
+            target: 'https://origin.example.com/live/low/iframes.m3u8'
+        });
+        expect(openProxied(tagUri(manifest, '#EXT-X-SESSION-KEY'))).toEqual({
+            route: 'key',
+            target: 'https://origin.example.com/live/keys/session.key'
+        });
+        expect(manifest).not.toContain('origin.example.com');
+    });
+
+    test('media playlist: segments and EXT-X-KEY rotation', () => {
+        const manifest = rewrite('media.m3u8', 'https://origin.example.com/live/low/index.m3u8');
+
+        expect(uriLines(manifest).map(openProxied)).toEqual([
+            { route: 'segment', target: 'https://origin.example.com/live/low/seg100.ts' },
+            { route: 'segment', target: 'https://origin.example.com/live/low/seg101.ts?sig=abc' },
+            { route: 'segment', target: 'https://cdn.example.com/live/seg102.ts' },
+            { route: 'segment', target: 'https://origin.example.com/live/seg103.ts' }
+        ]);
+
+        const keys = manifest.split('\n').filter(line => line.startsWith('#EXT-X-KEY:'));
+        expect(keys.map(line => openProxied(/URI="([^"]+)"/.exec(line)[1]))).toEqual([
+            { route: 'key', target: 'https://origin.example.com/live/low/keys/100.key' },
+            { route: 'key', target: 'https://keys.example.com/102.key' }
+        ]);
+        expect(keys[0]).toContain('IV=0x00000000000000000000000000000064');
+        expect(manifest).toContain('#EXT-X-MEDIA-SEQUENCE:100');
+    });
+
+    test('fMP4 playlist: EXT-X-MAP and byte ranges', () => {
+        const manifest = rewrite('fmp4.m3u8', 'https://origin.example.com/vod/index.m3u8');
+
+        const mapLine = manifest.split('\n').find(line => line.startsWith('#EXT-X-MAP:'));
+        expect(openProxied(tagUri(manifest, '#EXT-X-MAP'))).toEqual({
+            route: 'segment',
+            target: 'https://origin.example.com/vod/init.mp4'
+        });
+        expect(mapLine).toContain('BYTERANGE="720@0"');
+
+        const segments = uriLines(manifest);
+        expect(segments).toHaveLength(2);
+        // The same resource gets the same proxy URL
+        expect(segments[0]).toBe(segments[1]);
+        expect(openProxied(segments[0])).toEqual({ route: 'segment', target: 'https://origin.example.com/vod/main.mp4' });
+        expect(manifest).toContain('#EXT-X-BYTERANGE:50000@720');
+        expect(manifest).toContain('#EXT-X-BYTERANGE:48000@50720');
+        expect(manifest).toContain('#EXT-X-ENDLIST');
+    });
+
+    test('LL-HLS playlist: EXT-X-PART, EXT-X-PRELOAD-HINT and rendition reports', () => {
+        const manifest = rewrite('llhls.m3u8', 'https://origin.example.com/live/high/index.m3u8');
+
+        expect(openProxied(tagUri(manifest, '#EXT-X-MAP'))).toEqual({
+            route: 'segment',
+            target: 'https://origin.example.com/live/high/init.mp4'
+        });
+        expect(manifest.split('\n').filter(line => line.startsWith('#EXT-X-MAP:'))).toHaveLength(1);
+
+        const parts = manifest.split('\n').filter(line => line.startsWith('#EXT-X-PART:'));
+        expect(parts.map(line => openProxied(/URI="([^"]+)"/.exec(line)[1]))).toEqual([
+            { route: 'part', target: 'https://origin.example.com/live/high/seg21.0.mp4' },
+            { route: 'part', target: 'https://origin.example.com/live/high/seg21.1.mp4' }
+        ]);
+        expect(parts[0]).toContain('INDEPENDENT=YES');
+
+        expect(openProxied(tagUri(manifest, '#EXT-X-PRELOAD-HINT'))).toEqual({
+            route: 'part',
+            target: 'https://origin.example.com/live/high/seg21.2.mp4'
+        });
+        expect(openProxied(tagUri(manifest, '#EXT-X-RENDITION-REPORT'))).toEqual({
+            route: 'manifest',
+            target: 'https://origin.example.com/live/low/index.m3u8'
+        });
+        expect(uriLines(manifest).map(openProxied)).toEqual([
+            { route: 'segment', target: 'https://origin.example.com/live/high/seg20.mp4' }
+        ]);
+        expect(manifest).not.toMatch(/^#EXT-X-KEY/m);
+    });
+
+    test('URLs carry no token unless the player sent it in the URL', () => {
+        const manifest = rewrite('media.m3u8', 'https://origin.example.com/live/low/index.m3u8');
+        const refreshed = rewriteManifestUrls(fixture('media.m3u8'), 'https://origin.example.com/live/low/index.m3u8',
+            PROXY_BASE_URL, { ...access, token: 'refreshed.jwt.token' });
+
+        expect(manifest).not.toContain('token=');
+        expect(refreshed).toBe(manifest);
+
+        const native = rewriteManifestUrls(fixture('media.m3u8'), 'https://origin.example.com/live/low/index.m3u8',
+            PROXY_BASE_URL, { ...access, tokenInUrl: true });
+        expect(uriLines(native).every(uri => new URL(uri).searchParams.get('token') === access.token)).toBe(true);
+    });
+
+    test('references are bound to the stream', () => {
+        const manifest = rewrite('media.m3u8', 'https://origin.example.com/live/low/index.m3u8');
+        const reference = new URL(uriLines(manifest)[0]).searchParams.get('url');
+
+        expect(() => openProxyUrl(reference, 'other-stream')).toThrow('Invalid proxy URL');
+    });
+});
+
+// Start a server on a free local port
+async function listen(handler) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    server.url = `http://127.0.0.1:${server.address().port}`;
+    return server;
+}
+
+async function close(server) {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+}
+
+describe('proxySegment', () => {
+    const segment = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+    const lastModified = 'Mon, 05 Oct 2026 10:00:00 GMT';
+    let origin;
+    let proxy;
+    let originRequests;
+    let segmentAccess;
+
+    beforeAll(async () => {
+        origin = await listen((req, res) => {
+            originRequests++;
+            res.writeHead(200, { 'Content-Type': 'video/mp2t', ETag: '"seg-1"', 'Last-Modified': lastModified });
+            res.write(segment.subarray(0, 500));
+            // The body keeps coming after the headers were answered
+            setTimeout(() => res.end(segment.subarray(500)), 50);
+        });
+
+        const { streamId } = await generateToken({ originalUrl: `${origin.url}/live/index.m3u8` });
+        segmentAccess = { streamId, streamData: await getStream(streamId) };
+
+        const app = express();
+        app.get('/segment', (req, res) => proxySegment(req.query.url, res, segmentAccess, req.headers));
+        proxy = await listen(app);
+    });
+
+    afterAll(async () => {
+        await close(proxy);
+        await close(origin);
+    });
+
+    beforeEach(() => {
+        originRequests = 0;
+    });
+
+    function requestSegment(name, headers = {}) {
+        const reference = signProxyUrl(`${origin.url}/live/${name}`, segmentAccess.streamId);
+        return fetch(`${proxy.url}/segment?url=${reference}`, { headers });
+    }
+
+    test('a segment answered 304 to its only viewer is still fetched into the cache', async () => {
+        const notModified = await requestSegment('seg1.ts', { 'If-None-Match': '"seg-1"' });
+        expect(notModified.status).toBe(304);
+
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const cached = await requestSegment('seg1.ts');
+        expect(cached.headers.get('x-cache')).toBe('HIT');
+        expect((await cached.arrayBuffer()).byteLength).toBe(1000);
+        expect(originRequests).toBe(1);
+    });
+
+    describe('cached segments', () => {
+        beforeAll(async () => {
+            const response = await requestSegment('cached.ts');
+            await response.arrayBuffer();
+        });
+
+        test.each([
+            ['bytes=0-99', 0, 99],
+            ['bytes=990-', 990, 999],
+            ['bytes=900-5000', 900, 999],
+            ['bytes=-100', 900, 999],
+            ['bytes=-5000', 0, 999]
+        ])('%s is served as a partial response', async (range, start, end) => {
+            const response = await requestSegment('cached.ts', { Range: range });
+
+            expect(response.status).toBe(206);
+            expect(response.headers.get('x-cache')).toBe('HIT');
+            expect(response.headers.get('content-range')).toBe(`bytes ${start}-${end}/1000`);
+            expect(Buffer.from(await response.arrayBuffer())).toEqual(segment.subarray(start, end + 1));
+            expect(originRequests).toBe(0);
+        });
+
+        test.each([
+            'bytes=1000-',
+            'bytes=-0',
+            'bytes=0-1,5-6'
+        ])('%s is not satisfiable', async (range) => {
+            const response = await requestSegment('cached.ts', { Range: range });
+
+            expect(response.status).toBe(416);
+            expect(response.headers.get('content-range')).toBe('bytes */1000');
+        });
+
+        test.each([
+            'items=0-99',
+            'bytes=-',
+            'bytes=500-100'
+        ])('%s is ignored', async (range) => {
+            const response = await requestSegment('cached.ts', { Range: range });
+
+            expect(response.status).toBe(200);
+            expect((await response.arrayBuffer()).byteLength).toBe(1000);
+        });
+
+        test('If-Range only honours a strong match of the current validator', async () => {
+            const statuses = [];
+            for (const ifRange of ['"seg-1"', lastModified, '"seg-0"', 'W/"seg-1"', 'Sun, 04 Oct 2026 10:00:00 GMT']) {
+                const response = await requestSegment('cached.ts', { Range: 'bytes=0-99', 'If-Range': ifRange });
+                await response.arrayBuffer();
+                statuses.push(response.status);
+            }
+            expect(statuses).toEqual([206, 206, 200, 200, 200]);
+        });
+
+        test.each([
+            [{ 'If-None-Match': '"seg-1"' }, 304],
+            [{ 'If-None-Match': '"seg-0", W/"seg-1"' }, 304],
+            [{ 'If-None-Match': '*' }, 304],
+            [{ 'If-None-Match': '"seg-0"' }, 200],
+            [{ 'If-Modified-Since': lastModified }, 304],
+            [{ 'If-Modified-Since': 'Tue, 06 Oct 2026 10:00:00 GMT' }, 304],
+            [{ 'If-Modified-Since': 'Sun, 04 Oct 2026 10:00:00 GMT' }, 200],
+            [{ 'If-Modified-Since': 'not a date' }, 200],
+            // If-None-Match takes precedence over If-Modified-Since
+            [{ 'If-None-Match': '"seg-0"', 'If-Modified-Since': 'Tue, 06 Oct 2026 10:00:00 GMT' }, 200]
+        ])('conditional request %o answers %i', async (headers, status) => {
+            const response = await requestSegment('cached.ts', headers);
+            await response.arrayBuffer();
+
+            expect(response.status).toBe(status);
+            expect(response.headers.get('etag')).toBe('"seg-1"');
+        });
+    });
+});
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createTrustedIssuers } = require('../trustedIssuers');
+const { signEdDSA } = require('../eddsaJwt');
+
+const ISSUER = 'https://www.example.com';
+const AUDIENCE = 'live-streaming';
+
+const rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ed = crypto.generateKeyPairSync('ed25519');
+const rsaPublicPem = rsa.publicKey.export({ format: 'pem', type: 'spki' });
+
+let dir;
+let jwksFile;
+
+beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'issuers-test-'));
+    jwksFile = path.join(dir, 'jwks.json');
+    fs.writeFileSync(jwksFile, JSON.stringify({
+        keys: [
+            { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+            { ...ed.publicKey.export({ format: 'jwk' }), kid: 'ed-1', use: 'sig' }
+        ]
+    }));
+});
+
+afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function issuers(config = {}) {
+    return createTrustedIssuers({
+        issuers: [{ issuer: ISSUER, audience: AUDIENCE, jwksFile, claims: { streams: 'live.streams' }, ...config }],
+        ownIssuer: 'https://live.example.com'
+    });
+}
+
+function claims(overrides = {}) {
+    return {
+        iss: ISSUER,
+        aud: AUDIENCE,
+        sub: 'member-7',
+        live: { streams: 'stream-a stream-b' },
+        exp: Math.floor(Date.now() / 1000) + 300,
+        ...overrides
+    };
+}
+
+function rsaToken(overrides, kid = 'rsa-1') {
+    return jwt.sign(claims(overrides), rsa.privateKey, { algorithm: 'RS256', keyid: kid });
+}
+
+describe('trusted issuers', () => {
+    test('verifies RS256 and EdDSA tokens against the JWKS and maps their claims', () => {
+        const trusted = issuers();
+        const expected = { issuer: ISSUER, subject: 'member-7', streams: ['stream-a', 'stream-b'] };
+
+        expect(trusted.verify(rsaToken())).toMatchObject(expected);
+        expect(trusted.verify(signEdDSA(claims(), ed.privateKey, 'ed-1'))).toMatchObject(expected);
+    });
+
+    test('only claims tokens from configured issuers', () => {
+        const trusted = issuers();
+        const other = rsaToken({ iss: 'https://other.example.com' });
+
+        expect(trusted.isTrusted(rsaToken())).toBe(true);
+        expect(trusted.isTrusted(other)).toBe(false);
+        expect(() => trusted.verify(other)).toThrow(expect.objectContaining({ status: 401, message: 'Token issuer is not trusted' }));
+    });
+
+    test('refuses tokens for another audience, without expiry or signed with an unknown key', () => {
+        const trusted = issuers();
+        const { exp, ...withoutExpiry } = claims();
+        const unexpiring = jwt.sign(withoutExpiry, rsa.privateKey, { algorithm: 'RS256', keyid: 'rsa-1' });
+
+        expect(() => trusted.verify(rsaToken({ aud: 'billing' }))).toThrow('jwt audience invalid');
+        expect(() => trusted.verify(unexpiring)).toThrow('Token has no expiry');
+        expect(() => trusted.verify(rsaToken({}, 'rsa-2'))).toThrow('Token signed with an unknown key');
+    });
+
+    test('takes the algorithm from the key, never from the token', () => {
+        const trusted = issuers({ jwksFile: undefined, publicKey: rsaPublicPem, kid: 'rsa-1' });
+        // The public key used as an HMAC secret
+        const confused = jwt.sign(claims(), Buffer.from(rsaPublicPem), { algorithm: 'HS256', keyid: 'rsa-1' });
+        const edSigned = signEdDSA(claims(), ed.privateKey, 'rsa-1');
+
+        expect(trusted.verify(rsaToken()).subject).toBe('member-7');
+        expect(() => trusted.verify(confused)).toThrow(expect.objectContaining({ status: 401, message: 'Token algorithm does not match key rsa-1' }));
+        expect(() => trusted.verify(edSigned)).toThrow('Token algorithm does not match key rsa-1');
+    });
+
+    test('refuses invalid configurations', () => {
+        const privateJwks = path.join(dir, 'private.json');
+        fs.writeFileSync(privateJwks, JSON.stringify({ keys: [{ ...ed.privateKey.export({ format: 'jwk' }), kid: 'ed-1' }] }));
+
+        expect(() => issuers({ jwksFile: privateJwks })).toThrow('must only hold public keys');
+        expect(() => issuers({ jwksFile: undefined })).toThrow('needs jwksFile, publicKeyFile or publicKey');
+        expect(() => issuers({ jwksFile: undefined, publicKey: rsaPublicPem, algorithm: 'ES256' })).toThrow('does not match the rsa key');
+        expect(() => issuers({ issuer: 'https://live.example.com' })).toThrow("is this server's own issuer");
+    });
+});
@@ -0,0 +1,134 @@
+// The default policy: private addresses refused
+delete process.env.UPSTREAM_ALLOW_PRIVATE;
+
+const dns = require('dns');
+const http = require('http');
+const { EventEmitter, once } = require('events');
+const { Readable } = require('stream');
+const { checkUpstreamUrl, requestUpstream } = require('../upstreamClient');
+
+// What the stubbed resolver answers per hostname
+const hosts = {
+    'origin.example.com': ['93.184.216.34'],
+    'rebind.example.com': ['93.184.216.34', '10.0.0.5'],
+    'mapped.example.com': ['::ffff:127.0.0.1'],
+    'internal.example.com': ['192.168.1.10']
+};
+
+// What the stubbed origin answers per host and path
+let routes;
+
+// http.request stand-in: resolves the host through the request's lookup,
+// as a socket would, then answers from `routes`
+function fakeRequest(options, onResponse) {
+    const request = new EventEmitter();
+    request.destroy = (error) => {
+        if (error) {
+            request.emit('error', error);
+        }
+    };
+    request.end = () => {
+        const lookup = options.lookup || ((hostname, lookupOptions, callback) => callback(null, hostname, 4));
+        lookup(options.hostname, {}, (error) => {
+            if (error) {
+                return request.emit('error', error);
+            }
+            const route = routes[`${options.hostname}${options.path}`] || { statusCode: 404 };
+            const response = Readable.from([Buffer.from('body')]);
+            response.statusCode = route.statusCode;
+            response.headers = route.headers || {};
+            response.complete = true;
+            onResponse(response);
+        });
+    };
+    return request;
+}
+
+beforeEach(() => {
+    routes = {};
+    jest.spyOn(http, 'request').mockImplementation(fakeRequest);
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        const addresses = hosts[hostname];
+        if (!addresses) {
+            return callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+        }
+        callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('checkUpstreamUrl', () => {
+    test.each([
+        'http://127.0.0.1/live.m3u8',
+        'http://10.1.2.3/live.m3u8',
+        'http://172.16.0.1/live.m3u8',
+        'http://192.168.0.10/live.m3u8',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://100.64.0.1/live.m3u8',
+        'http://0.0.0.0/live.m3u8',
+        'http://[::1]/live.m3u8',
+        'http://[fd00::1]/live.m3u8',
+        'http://[fe80::1]/live.m3u8',
+        'http://[::ffff:127.0.0.1]/live.m3u8',
+        'http://[::ffff:a9fe:a9fe]/live.m3u8',
+        'http://localhost:8080/live.m3u8',
+        'http://api.localhost/live.m3u8'
+    ])('refuses %s', (url) => {
+        expect(() => checkUpstreamUrl(url)).toThrow(expect.objectContaining({ status: 403 }));
+    });
+
+    test('refuses other schemes and invalid URLs', () => {
+        expect(() => checkUpstreamUrl('file:///etc/passwd')).toThrow(expect.objectContaining({ status: 403 }));
+        expect(() => checkUpstreamUrl('ftp://origin.example.com/live.m3u8')).toThrow(expect.objectContaining({ status: 403 }));
+        expect(() => checkUpstreamUrl('not a url')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test.each([
+        'https://origin.example.com/live.m3u8',
+        'http://93.184.216.34:8080/live.m3u8',
+        'https://[2606:2800:220:1:248:1893:25c8:1946]/live.m3u8'
+    ])('allows %s', (url) => {
+        expect(checkUpstreamUrl(url)).toBeInstanceOf(URL);
+    });
+});
+
+describe('requestUpstream', () => {
+    test('connects to names that resolve to public addresses', async () => {
+        routes['origin.example.com/live.m3u8'] = { statusCode: 200 };
+
+        const response = await requestUpstream('http://origin.example.com/live.m3u8');
+        expect(response.statusCode).toBe(200);
+        response.resume();
+        await once(response, 'end');
+    });
+
+    test('refuses names that resolve to a blocked address, IPv4-mapped ones included', async () => {
+        await expect(requestUpstream('http://rebind.example.com/live.m3u8')).rejects.toMatchObject({ status: 403 });
+        await expect(requestUpstream('http://mapped.example.com/live.m3u8')).rejects.toMatchObject({ status: 403 });
+    });
+
+    test('checks every redirect hop against the policy', async () => {
+        routes['origin.example.com/metadata'] = {
+            statusCode: 302,
+            headers: { location: 'http://169.254.169.254/latest/meta-data/' }
+        };
+        routes['origin.example.com/internal'] = {
+            statusCode: 307,
+            headers: { location: 'http://internal.example.com/admin' }
+        };
+
+        await expect(requestUpstream('http://origin.example.com/metadata')).rejects.toMatchObject({ status: 403 });
+        await expect(requestUpstream('http://origin.example.com/internal')).rejects.toMatchObject({ status: 403 });
+        expect(http.request).toHaveBeenCalledTimes(3);
+    });
+
+    test('refuses redirect loops', async () => {
+        routes['origin.example.com/a'] = { statusCode: 302, headers: { location: '/b' } };
+        routes['origin.example.com/b'] = { statusCode: 302, headers: { location: '/a' } };
+
+        await expect(requestUpstream('http://origin.example.com/a')).rejects.toMatchObject({ status: 502 });
+    });
+});
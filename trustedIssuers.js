@@ -0,0 +1,310 @@
+/**
+ * Trusted Issuers
+ * Viewer tokens issued by other services (e.g. the main site's login),
+ * accepted in place of the tokens this server signs.
+ *
+ * Each issuer is configured with its `iss` value, its public keys and how to
+ * read its claims:
+ *   {
+ *     "issuer": "https://www.example.com",
+ *     "audience": "live-streaming",
+ *     "jwksFile": "/etc/live/example-jwks.json",
+ *     "claims": { "streams": "streams", "subject": "sub" },
+ *     "clockToleranceSeconds": 30
+ *   }
+ * Keys come from a local JWKS file (`jwksFile`) or a PEM public key
+ * (`publicKeyFile` or `publicKey`, with an optional `kid` and `algorithm`).
+ * Keys are never fetched over the network; they are read at startup, so a
+ * rotated JWKS file takes effect on restart. RSA (RS256), EC (ES256/ES384/ES512) and Ed25519
+ * (EdDSA) keys are supported; the algorithm is taken from the key, never
+ * from the token.
+ *
+ * The streams claim (a dotted path into the payload) lists the stream IDs
+ * the token grants, as an array or a space-separated string. Tokens must
+ * carry an `exp`; the issuer's own expiry is the only one applied.
+ *
+ * Issuers are read from the JSON array in TRUSTED_ISSUERS_FILE, or from
+ * `trustedIssuers` in token.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+const { verifyEdDSA } = require('./eddsaJwt');
+
+// JWS algorithms per public key type; RS256 is assumed for RSA keys without an `alg`
+const KEY_ALGORITHMS = {
+    rsa: ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512'],
+    ec: ['ES256', 'ES384', 'ES512'],
+    ed25519: ['EdDSA']
+};
+
+const EC_CURVE_ALGORITHMS = {
+    prime256v1: 'ES256',
+    secp384r1: 'ES384',
+    secp521r1: 'ES512'
+};
+
+const DEFAULT_CLAIMS = {
+    streams: 'streams',
+    subject: 'sub'
+};
+
+/**
+ * Create an error carrying the HTTP status the viewer should receive
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function issuerError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File path
+ * @param {string} description - What the file holds, for error messages
+ * @returns {*} Parsed JSON
+ * @throws {Error} When the file cannot be read or parsed
+ */
+function readJsonFile(filePath, description) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${description} from ${filePath}: ${error.code || error.message}`);
+    }
+}
+
+/**
+ * Create a verification key for a public key
+ * @param {crypto.KeyObject} publicKey - Public key
+ * @param {string} [kid] - Key ID
+ * @param {string} [alg] - Algorithm declared for the key (JWK `alg`)
+ * @param {string} source - Where the key was configured, for error messages
+ * @returns {Object} { kid, algorithm, publicKey }
+ * @throws {Error} When the key type or algorithm is not supported
+ */
+function createVerificationKey(publicKey, kid, alg, source) {
+    const type = publicKey.asymmetricKeyType;
+    const algorithms = KEY_ALGORITHMS[type];
+    if (!algorithms) {
+        throw new Error(`Unsupported key type ${type} in ${source}: use RSA, EC or Ed25519`);
+    }
+
+    const defaultAlgorithm = type === 'rsa' ? 'RS256'
+        : type === 'ec' ? EC_CURVE_ALGORITHMS[publicKey.asymmetricKeyDetails.namedCurve]
+            : 'EdDSA';
+    const algorithm = alg || defaultAlgorithm;
+    if (!algorithms.includes(algorithm) || (type === 'ec' && algorithm !== defaultAlgorithm)) {
+        throw new Error(`Algorithm ${algorithm || 'unknown'} does not match the ${type} key in ${source}`);
+    }
+
+    return { kid: kid || null, algorithm, publicKey };
+}
+
+/**
+ * Load the public keys of an issuer
+ * @param {Object} config - Issuer configuration
+ * @param {string} source - Where the issuer was configured, for error messages
+ * @returns {Object[]} Verification keys
+ * @throws {Error} When no key is configured or a key is invalid
+ */
+function loadKeys(config, source) {
+    if (config.jwksFile) {
+        const jwks = readJsonFile(config.jwksFile, `JWKS for ${config.issuer}`);
+        const jwkList = Array.isArray(jwks && jwks.keys) ? jwks.keys : [];
+        const keys = jwkList
+            .filter(jwk => !jwk.use || jwk.use === 'sig')
+            .map((jwk) => {
+                if (jwk.kty === 'oct' || jwk.d) {
+                    throw new Error(`JWKS ${config.jwksFile} must only hold public keys`);
+                }
+                let publicKey;
+                try {
+                    publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+                } catch {
+                    throw new Error(`Invalid key ${jwk.kid || '(no kid)'} in ${config.jwksFile}`);
+                }
+                return createVerificationKey(publicKey, jwk.kid, jwk.alg, config.jwksFile);
+            });
+        if (keys.length === 0) {
+            throw new Error(`JWKS ${config.jwksFile} has no signing keys`);
+        }
+        return keys;
+    }
+
+    if (!config.publicKeyFile && !config.publicKey) {
+        throw new Error(`Trusted issuer ${config.issuer} (${source}) needs jwksFile, publicKeyFile or publicKey`);
+    }
+
+    let publicKey;
+    try {
+        publicKey = crypto.createPublicKey(config.publicKeyFile ? fs.readFileSync(config.publicKeyFile, 'utf8') : config.publicKey);
+    } catch (error) {
+        throw new Error(`Cannot read public key for ${config.issuer} (${source}): ${error.code || 'invalid key'}`);
+    }
+    return [createVerificationKey(publicKey, config.kid, config.algorithm, source)];
+}
+
+/**
+ * Read a claim by dotted path
+ * @param {Object} claims - Token payload
+ * @param {string} claimPath - Claim name or dotted path (e.g. "live.streams")
+ * @returns {*} Claim value
+ */
+function readClaim(claims, claimPath) {
+    return claimPath.split('.').reduce((value, name) => (value && typeof value === 'object' ? value[name] : undefined), claims);
+}
+
+/**
+ * Normalize a streams claim to a list of stream IDs
+ * @param {*} value - Claim value: array or space-separated string
+ * @returns {string[]} Stream IDs
+ */
+function toStreamList(value) {
+    if (Array.isArray(value)) {
+        return value.filter(streamId => typeof streamId === 'string' && streamId);
+    }
+    return typeof value === 'string' ? value.split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Create the set of trusted issuers
+ * @param {Object} options
+ * @param {Object[]} [options.issuers] - Issuer configurations
+ * @param {string} [options.source] - Where they were configured, for error messages
+ * @param {string} [options.ownIssuer] - This server's issuer, which cannot be trusted as external
+ * @returns {Object} Trusted issuers
+ * @throws {Error} When the configuration is invalid
+ */
+function createTrustedIssuers({ issuers = [], source = 'trusted issuers', ownIssuer } = {}) {
+    if (!Array.isArray(issuers)) {
+        throw new Error(`Trusted issuers in ${source} must be an array`);
+    }
+
+    const byIssuer = new Map();
+    for (const config of issuers) {
+        if (!config || typeof config.issuer !== 'string' || !config.issuer) {
+            throw new Error(`Trusted issuer in ${source} needs an issuer`);
+        }
+        if (config.issuer === ownIssuer) {
+            throw new Error(`Trusted issuer ${config.issuer} in ${source} is this server's own issuer`);
+        }
+        if (byIssuer.has(config.issuer)) {
+            throw new Error(`Trusted issuer ${config.issuer} is configured twice in ${source}`);
+        }
+
+        byIssuer.set(config.issuer, {
+            issuer: config.issuer,
+            audience: config.audience || undefined,
+            keys: loadKeys(config, source),
+            claims: { ...DEFAULT_CLAIMS, ...config.claims },
+            clockTolerance: parseInt(config.clockToleranceSeconds, 10) || 0
+        });
+    }
+
+    if (byIssuer.size > 0) {
+        logger.info('Trusted issuers loaded', {
+            issuers: [...byIssuer.values()].map(({ issuer, keys }) => ({
+                issuer,
+                keys: keys.map(key => `${key.kid || '-'} (${key.algorithm})`)
+            }))
+        });
+    }
+
+    /**
+     * Check whether a token claims a trusted issuer (before verifying it)
+     * @param {string} token - JWT token string
+     * @returns {boolean} True if the token's `iss` is a trusted issuer
+     */
+    function isTrusted(token) {
+        const payload = jwt.decode(token);
+        return Boolean(payload && typeof payload === 'object' && byIssuer.has(payload.iss));
+    }
+
+    /**
+     * Verify a token from a trusted issuer
+     * @param {string} token - JWT token string
+     * @returns {Object} { issuer, subject, streams, iat, exp }
+     * @throws {Error} 401 when the token is not valid
+     */
+    function verify(token) {
+        const decoded = jwt.decode(token, { complete: true });
+        const issuer = decoded && byIssuer.get(decoded.payload.iss);
+        if (!issuer) {
+            throw issuerError('Token issuer is not trusted', 401);
+        }
+
+        const { header } = decoded;
+        const keys = issuer.keys.filter(key => !header.kid || !key.kid || key.kid === header.kid);
+        if (keys.length === 0) {
+            throw issuerError('Token signed with an unknown key', 401);
+        }
+
+        const options = {
+            issuer: issuer.issuer,
+            audience: issuer.audience,
+            clockTolerance: issuer.clockTolerance
+        };
+
+        let claims;
+        let lastError;
+        for (const key of keys) {
+            if (header.alg !== key.algorithm) {
+                lastError = new Error(`Token algorithm does not match key ${key.kid || '-'}`);
+                continue;
+            }
+            try {
+                claims = key.algorithm === 'EdDSA'
+                    ? verifyEdDSA(token, key.publicKey, options)
+                    : jwt.verify(token, key.publicKey, { ...options, algorithms: [key.algorithm] });
+                break;
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        if (!claims) {
+            throw issuerError(lastError.message, 401);
+        }
+
+        if (typeof claims.exp !== 'number') {
+            throw issuerError('Token has no expiry', 401);
+        }
+
+        return {
+            issuer: issuer.issuer,
+            subject: readClaim(claims, issuer.claims.subject) || null,
+            streams: toStreamList(readClaim(claims, issuer.claims.streams)),
+            iat: claims.iat,
+            exp: claims.exp
+        };
+    }
+
+    return {
+        isTrusted,
+        verify
+    };
+}
+
+/**
+ * Load the trusted issuers configuration
+ * TRUSTED_ISSUERS_FILE takes precedence over token.json.
+ * @param {Object} options
+ * @param {string} [options.file] - Path of a JSON file with the issuer list
+ * @param {Object} [options.tokenConfig] - Parsed token.json
+ * @returns {Object} { issuers, source }
+ */
+function loadIssuerConfig({ file, tokenConfig = {} }) {
+    if (file) {
+        return { issuers: readJsonFile(file, 'trusted issuers'), source: file };
+    }
+    return { issuers: tokenConfig.trustedIssuers || [], source: 'token.json trustedIssuers' };
+}
+
+module.exports = {
+    createTrustedIssuers,
+    loadIssuerConfig
+};
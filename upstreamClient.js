@@ -0,0 +1,420 @@
+/**
+ * Upstream Client
+ * Shared HTTP client for every request the proxy makes to stream origins,
+ * enforcing the upstream policy (SSRF protection):
+ * - Allowed URL schemes (UPSTREAM_ALLOWED_SCHEMES, default http,https)
+ * - Host allow/deny lists (UPSTREAM_ALLOWED_HOSTS / UPSTREAM_DENIED_HOSTS,
+ *   comma-separated, "*.example.com" matches subdomains)
+ * - No loopback, private, link-local or otherwise reserved addresses, checked
+ *   on the resolved address of every connection, so DNS names and redirects
+ *   cannot reach them either (UPSTREAM_ALLOW_PRIVATE=true to disable)
+ * - Redirect depth (UPSTREAM_MAX_REDIRECTS, default 5); every hop is checked
+ *   against the policy, and redirect loops are refused
+ * - Response size (UPSTREAM_MAX_RESPONSE_MB, default 100)
+ *
+ * Connections are pooled per origin with keep-alive agents, at most
+ * UPSTREAM_MAX_SOCKETS (default 50) concurrent requests per origin.
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const { Transform } = require('stream');
+const logger = require('./logger');
+
+// Request timeout configuration (idle socket time, connecting included)
+const REQUEST_TIMEOUT = 30000; // 30 seconds
+
+// Keep-alive agent per origin ("http://host:port")
+const agents = new Map();
+const MAX_SOCKETS = parseInt(process.env.UPSTREAM_MAX_SOCKETS, 10) || 50;
+const MAX_FREE_SOCKETS = 10;
+const FREE_SOCKET_TIMEOUT = 15000; // 15 seconds, below typical origin keep-alive limits
+
+// Redirects that are followed (300, 304 and 305 are returned to the caller)
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Headers that are not forwarded when a redirect leaves the origin
+const CREDENTIAL_HEADERS = new Set(['authorization', 'cookie']);
+
+const policy = {
+    allowedSchemes: parseList(process.env.UPSTREAM_ALLOWED_SCHEMES || 'http,https'),
+    allowedHosts: parseList(process.env.UPSTREAM_ALLOWED_HOSTS),
+    deniedHosts: parseList(process.env.UPSTREAM_DENIED_HOSTS),
+    allowPrivate: process.env.UPSTREAM_ALLOW_PRIVATE === 'true',
+    maxRedirects: parseInt(process.env.UPSTREAM_MAX_REDIRECTS, 10) >= 0
+        ? parseInt(process.env.UPSTREAM_MAX_REDIRECTS, 10)
+        : 5,
+    maxResponseBytes: (parseFloat(process.env.UPSTREAM_MAX_RESPONSE_MB) || 100) * 1024 * 1024
+};
+
+// Addresses no origin may resolve to: "this network", loopback, private,
+// carrier-grade NAT, link-local (cloud metadata), benchmarking, multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Parse a comma-separated list
+ * @param {string} [value] - List
+ * @returns {string[]} Lowercase, trimmed entries
+ */
+function parseList(value) {
+    return (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Create an error carrying the HTTP status the viewer should receive
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @param {boolean} [retryable] - Whether the request may succeed if tried again
+ * @returns {Error} Error with status
+ */
+function upstreamError(message, status, retryable = false) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryable = retryable;
+    return error;
+}
+
+/**
+ * Check whether a host matches a host list entry
+ * @param {string} host - Lowercase hostname
+ * @param {string} pattern - Exact hostname, or "*.example.com" for its subdomains
+ * @returns {boolean} True on a match
+ */
+function hostMatches(host, pattern) {
+    if (pattern.startsWith('*.')) {
+        return host.endsWith(pattern.slice(1));
+    }
+    return host === pattern;
+}
+
+/**
+ * Check whether an IP address is in a blocked range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True when blocked
+ */
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check a URL against the static part of the upstream policy
+ * (scheme, host lists and literal IP addresses); resolved addresses are
+ * checked when connecting.
+ * @param {string} urlString - Upstream URL
+ * @returns {URL} Parsed URL
+ * @throws {Error} 403 upstream error when the URL is not allowed
+ */
+function checkUpstreamUrl(urlString) {
+    let target;
+    try {
+        target = new URL(urlString);
+    } catch {
+        throw upstreamError('Invalid upstream URL', 400);
+    }
+
+    const scheme = target.protocol.slice(0, -1);
+    const host = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+    let reason = null;
+    if (!policy.allowedSchemes.includes(scheme)) {
+        reason = `scheme ${scheme} is not allowed`;
+    } else if (policy.deniedHosts.some(pattern => hostMatches(host, pattern))) {
+        reason = `host ${host} is denied`;
+    } else if (policy.allowedHosts.length > 0 && !policy.allowedHosts.some(pattern => hostMatches(host, pattern))) {
+        reason = `host ${host} is not in the allow list`;
+    } else if (!policy.allowPrivate && (host === 'localhost' || host.endsWith('.localhost') || isBlockedAddress(host))) {
+        reason = `address ${host} is not allowed`;
+    }
+
+    if (reason) {
+        throw upstreamError(`Upstream URL not allowed: ${reason}`, 403);
+    }
+
+    return target;
+}
+
+/**
+ * DNS lookup that refuses blocked addresses
+ * Used as the connection lookup, so the address checked is the address
+ * connected to (no DNS rebinding between check and use).
+ * @param {string} hostname - Hostname to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function policyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            // The address is logged, never returned to the viewer
+            const error = upstreamError(`Upstream URL not allowed: ${hostname} resolves to a blocked address`, 403);
+            error.address = blocked.address;
+            return callback(error);
+        }
+
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Get the keep-alive agent for an origin
+ * @param {URL} target - Upstream URL
+ * @returns {http.Agent} Agent
+ */
+function getAgent(target) {
+    const origin = `${target.protocol}//${target.host}`;
+    let agent = agents.get(origin);
+    if (!agent) {
+        const Agent = target.protocol === 'https:' ? https.Agent : http.Agent;
+        agent = new Agent({
+            keepAlive: true,
+            maxSockets: MAX_SOCKETS,
+            maxFreeSockets: MAX_FREE_SOCKETS,
+            timeout: FREE_SOCKET_TIMEOUT,
+            scheduling: 'lifo'
+        });
+        agents.set(origin, agent);
+    }
+    return agent;
+}
+
+/**
+ * Limit the size of an upstream response body
+ * The returned stream stands in for the response: it carries the same
+ * statusCode, headers and request. Destroying it before the body is complete
+ * (e.g. the viewer went away) aborts the upstream request.
+ * @param {http.IncomingMessage} proxyRes - Upstream response
+ * @param {http.ClientRequest} proxyReq - Upstream request
+ * @returns {Transform} Size-limited response body
+ */
+function limitResponse(proxyRes, proxyReq) {
+    let received = 0;
+
+    const body = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > policy.maxResponseBytes) {
+                proxyReq.destroy();
+                return callback(upstreamError('Upstream response too large', 502));
+            }
+            callback(null, chunk);
+        }
+    });
+
+    body.statusCode = proxyRes.statusCode;
+    body.headers = proxyRes.headers;
+    body.request = proxyReq;
+
+    proxyRes.on('error', error => body.destroy(error.status ? error : upstreamError('Stream source connection lost', 502)));
+    body.on('close', () => {
+        if (!proxyRes.complete) {
+            proxyReq.destroy();
+        }
+    });
+    proxyRes.pipe(body);
+    return body;
+}
+
+/**
+ * Send a single upstream GET request, without following redirects
+ * Resolves once the response headers arrive; the body is left to the caller.
+ * Credentials in the URL (user:password@host) are sent as Basic auth.
+ * @param {string} requestUrl - Upstream URL
+ * @param {Object} headers - Request headers, overriding the defaults
+ * @param {number} [deadline] - Time (ms since epoch) by which the response headers must arrive
+ * @returns {Promise<Transform>} Upstream response body with statusCode, headers and request
+ */
+function requestOnce(requestUrl, headers, deadline) {
+    return new Promise((resolve, reject) => {
+        let target;
+        try {
+            target = checkUpstreamUrl(requestUrl);
+        } catch (error) {
+            logBlocked(requestUrl, error);
+            return reject(error);
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const auth = target.username
+            ? `${decodeURIComponent(target.username)}:${decodeURIComponent(target.password)}`
+            : undefined;
+
+        const options = {
+            hostname: target.hostname.replace(/^\[|\]$/g, ''),
+            port: target.port,
+            path: target.pathname + target.search,
+            auth,
+            method: 'GET',
+            agent: getAgent(target),
+            timeout: REQUEST_TIMEOUT,
+            lookup: policy.allowPrivate ? undefined : policyLookup,
+            headers: {
+                'User-Agent': 'LiveStreamingPlatform/1.0',
+                'Accept': '*/*',
+                ...headers
+            }
+        };
+
+        let responseTimer = null;
+        const proxyReq = client.request(options, (proxyRes) => {
+            clearTimeout(responseTimer);
+            const contentLength = parseInt(proxyRes.headers['content-length'], 10);
+            if (contentLength > policy.maxResponseBytes) {
+                proxyReq.destroy();
+                return reject(upstreamError('Upstream response too large', 502));
+            }
+            resolve(limitResponse(proxyRes, proxyReq));
+        });
+
+        proxyReq.on('error', (error) => {
+            clearTimeout(responseTimer);
+            if (error.status === 403) {
+                logBlocked(requestUrl, error);
+            }
+            reject(error.status ? error : upstreamError('Failed to connect to stream source', 502, true));
+        });
+
+        // Also ends a stalled response body: the response emits the error
+        proxyReq.on('timeout', () => {
+            proxyReq.destroy(upstreamError('Stream source timeout', 504, true));
+        });
+
+        if (deadline) {
+            responseTimer = setTimeout(() => {
+                proxyReq.destroy(upstreamError('Stream source timeout', 504, true));
+            }, Math.max(0, deadline - Date.now()));
+        }
+
+        proxyReq.end();
+    });
+}
+
+/**
+ * Open an upstream GET request, following redirects
+ * Resolves once the final response headers arrive; the body is left to the
+ * caller. Each hop is checked against the upstream policy; Authorization and
+ * Cookie headers are dropped once a redirect leaves the requested origin.
+ * @param {string} requestUrl - Upstream URL
+ * @param {Object} [headers] - Request headers, overriding the defaults
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - Time (ms since epoch) by which the final
+ *   response headers must arrive, redirects included; the body is only bound
+ *   by the idle timeout
+ * @returns {Promise<Transform>} Upstream response body with statusCode, headers,
+ *   request and url (the URL that served it, for resolving relative references)
+ * @throws {Error} Upstream error: 403 when the policy refuses a URL, 502 when
+ *   the origin is unreachable, the response too large or the redirects
+ *   loop or exceed UPSTREAM_MAX_REDIRECTS, 504 on timeout
+ */
+async function requestUpstream(requestUrl, headers = {}, options = {}) {
+    const visited = new Set();
+    let currentUrl = requestUrl;
+    let currentHeaders = headers;
+
+    for (let redirects = 0; ; redirects++) {
+        const response = await requestOnce(currentUrl, currentHeaders, options.deadline);
+        visited.add(new URL(currentUrl).href);
+        const location = response.headers.location;
+
+        if (!REDIRECT_STATUSES.has(response.statusCode) || !location) {
+            response.url = currentUrl;
+            return response;
+        }
+
+        // Drain the redirect body so the connection can be reused
+        response.resume();
+
+        if (redirects >= policy.maxRedirects) {
+            throw upstreamError('Too many redirects from stream source', 502);
+        }
+
+        let nextUrl;
+        try {
+            nextUrl = new URL(location, currentUrl);
+        } catch {
+            throw upstreamError('Invalid redirect from stream source', 502);
+        }
+
+        if (visited.has(nextUrl.href)) {
+            throw upstreamError('Redirect loop from stream source', 502);
+        }
+
+        if (nextUrl.origin !== new URL(currentUrl).origin) {
+            currentHeaders = Object.fromEntries(Object.entries(currentHeaders)
+                .filter(([name]) => !CREDENTIAL_HEADERS.has(name.toLowerCase())));
+        }
+
+        logger.debug('Following upstream redirect', {
+            status: response.statusCode,
+            from: new URL(currentUrl).host,
+            to: nextUrl.host
+        });
+        currentUrl = nextUrl.href;
+    }
+}
+
+/**
+ * Log a request refused by the upstream policy
+ * @param {string} requestUrl - Upstream URL
+ * @param {Error} error - Policy error
+ */
+function logBlocked(requestUrl, error) {
+    let host = null;
+    try {
+        host = new URL(requestUrl).host;
+    } catch {
+        // Invalid URL
+    }
+    logger.logSecurityEvent('upstream_blocked', { host, address: error.address, reason: error.message });
+}
+
+/**
+ * Get the upstream policy
+ * @returns {Object} Policy settings
+ */
+function getUpstreamPolicy() {
+    return { ...policy };
+}
+
+/**
+ * Get connection pool statistics
+ * @returns {Object} Origins, open sockets, idle sockets and queued requests
+ */
+function getUpstreamStats() {
+    const count = sockets => Object.values(sockets).reduce((total, list) => total + list.length, 0);
+    const stats = { origins: agents.size, sockets: 0, freeSockets: 0, queuedRequests: 0 };
+
+    for (const agent of agents.values()) {
+        stats.sockets += count(agent.sockets);
+        stats.freeSockets += count(agent.freeSockets);
+        stats.queuedRequests += count(agent.requests);
+    }
+    return stats;
+}
+
+module.exports = {
+    requestUpstream,
+    checkUpstreamUrl,
+    getUpstreamPolicy,
+    getUpstreamStats
+};
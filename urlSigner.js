@@ -0,0 +1,131 @@
+/**
+ * Proxy URL Signing
+ * Compact, deterministic references to upstream resources in proxy URLs
+ *
+ * A reference is "<kid>.<expiry>.<sealed URL>": the upstream URL sealed with
+ * AES-256-GCM, with the stream ID and expiry bound as additional
+ * authenticated data. The IV is an HMAC of the same inputs (a synthetic IV),
+ * so a URL gets the same reference on every manifest refresh and players and
+ * CDNs can cache by URL. Expiries are rounded up to whole windows
+ * (PROXY_URL_TTL_MINUTES, default 60): a reference stays the same within a
+ * window and is valid for one to two windows.
+ *
+ * Keys are derived once at startup from the URL encryption keys of the key
+ * ring (keyRing.js): the active key signs, retired keys still verify, so
+ * manifests handed out before a rotation keep working until their
+ * references expire. The kid is the key ring's key ID.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { keyRing, decryptUrl } = require('./auth');
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const WINDOW_SECONDS = Math.max(60, Math.round((parseFloat(process.env.PROXY_URL_TTL_MINUTES) || 60) * 60));
+
+/**
+ * Derive the reference keys for a key ring encryption key
+ * @param {Object} key - { kid, secret }
+ * @returns {Object} { kid, encryptionKey, ivKey }
+ */
+function deriveKeys({ kid, secret }) {
+    const derive = info => Buffer.from(crypto.hkdfSync('sha256', secret, '', info, 32));
+
+    return {
+        kid,
+        encryptionKey: derive('proxy-url-encryption'),
+        ivKey: derive('proxy-url-iv')
+    };
+}
+
+const verificationKeys = new Map(keyRing.listEncryptionKeys().map(key => [key.kid, deriveKeys(key)]));
+const signingKeys = verificationKeys.get(keyRing.getEncryptionKey().kid);
+
+/**
+ * Create an error carrying the HTTP status the viewer should receive
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code
+ * @returns {Error} Error with status
+ */
+function referenceError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Sign a reference to an upstream URL for a stream's proxy URLs
+ * @param {string} targetUrl - Absolute upstream URL
+ * @param {string} streamId - Stream the reference is valid for
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string} Reference (URL-safe)
+ */
+function signProxyUrl(targetUrl, streamId, now = Date.now()) {
+    const { kid, encryptionKey, ivKey } = signingKeys;
+    const expiresAt = (Math.floor(now / 1000 / WINDOW_SECONDS) + 2) * WINDOW_SECONDS;
+    const header = `${kid}.${expiresAt.toString(36)}`;
+    const aad = Buffer.from(`${header}.${streamId}`, 'utf8');
+
+    const iv = crypto.createHmac('sha256', ivKey)
+        .update(aad)
+        .update('\n')
+        .update(targetUrl)
+        .digest()
+        .subarray(0, IV_LENGTH);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    cipher.setAAD(aad);
+    const sealed = Buffer.concat([iv, cipher.update(targetUrl, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+    return `${header}.${sealed.toString('base64url')}`;
+}
+
+/**
+ * Open a proxy URL reference
+ * Encrypted URLs from encryptUrl() (the stream's stored source URL, and proxy
+ * URLs handed out before references were signed) are accepted as well.
+ * @param {*} reference - Reference from signProxyUrl() (as received in the query)
+ * @param {string} streamId - Stream the request was authorized for
+ * @returns {string} Upstream URL
+ * @throws {Error} 403 when the reference is invalid, expired or belongs to another stream
+ */
+function openProxyUrl(reference, streamId) {
+    if (typeof reference !== 'string') {
+        throw referenceError('Invalid proxy URL', 403);
+    }
+    if (reference.includes(':')) {
+        return decryptUrl(reference, streamId);
+    }
+
+    const [kid, expiry, sealed, ...rest] = reference.split('.');
+    const keys = verificationKeys.get(kid);
+    if (!keys || !expiry || !sealed || rest.length > 0) {
+        logger.logSecurityEvent('proxy_url_rejected', { streamId, reason: keys ? 'malformed' : 'unknown key' });
+        throw referenceError('Invalid proxy URL', 403);
+    }
+
+    if (parseInt(expiry, 36) * 1000 <= Date.now()) {
+        throw referenceError('Proxy URL expired', 403);
+    }
+
+    try {
+        const data = Buffer.from(sealed, 'base64url');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', keys.encryptionKey, data.subarray(0, IV_LENGTH));
+        decipher.setAAD(Buffer.from(`${kid}.${expiry}.${streamId}`, 'utf8'));
+        decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+
+        return Buffer.concat([
+            decipher.update(data.subarray(IV_LENGTH, data.length - TAG_LENGTH)),
+            decipher.final()
+        ]).toString('utf8');
+    } catch {
+        logger.logSecurityEvent('proxy_url_rejected', { streamId, reason: 'authentication failed' });
+        throw referenceError('Invalid proxy URL', 403);
+    }
+}
+
+module.exports = {
+    signProxyUrl,
+    openProxyUrl
+};